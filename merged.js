@@ -6,74 +6,441 @@ const fs = require('fs-extra')
 const path = require('path')
 const PizZip = require('pizzip')
 const mammoth = require('mammoth')
-const { fromPath: pdfFromPath } = require('pdf2pic')
-const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js')
-const { createCanvas } = require('canvas')
+const { fromBuffer: pdfFromBuffer } = require('pdf2pic')
+const UTIF = require('utif')
+const webp = require('webp-wasm')
+const PDFDocument = require('pdfkit')
 const crypto = require('crypto')
+const os = require('os')
+const { execFile } = require('child_process')
+const { pathToFileURL } = require('url')
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads')
 
-pdfjsLib.GlobalWorkerOptions.workerSrc = require.resolve('pdfjs-dist/legacy/build/pdf.worker.js')
+// 未显式指定 templatePath / employeeSheetPath 时，在 rootDir 下依次查找
+const TEMPLATE_CANDIDATES = ['2025员工体检报告（模板）.pptx', 'template.pptx']
+const EMPLOYEE_SHEET_CANDIDATES = ['员工表.xlsx', 'employees.xlsx', '员工表.csv', 'employees.csv']
+
+/**
+ * 各目录与文件的位置。库调用方通过 options 指定，相对路径以 rootDir 为基准；
+ * 命令行使用脚本所在目录下的 data/、output/ 与 report.config.json
+ */
+function resolvePaths (options = {}) {
+  const rootDir = path.resolve(options.rootDir || __dirname)
+  const outputDir = path.resolve(rootDir, options.outputDir || 'output')
+  return {
+    rootDir,
+    dataDir: path.resolve(rootDir, options.dataDir || 'data'),
+    outputDir,
+    pdfCacheDir: path.join(outputDir, '_pdf_cache'),
+    labValuesDir: path.join(outputDir, '检验指标'),
+    manifestFile: path.join(outputDir, '生成清单.json'),
+    // 匿名对照表与匿名模式下的实名检验指标放在 output/ 之外，避免随报告外发
+    anonymizeMapFile: path.resolve(rootDir, options.anonymizeMapFile || '匿名映射.json'),
+    identifiedLabValuesDir: path.resolve(rootDir, options.identifiedLabValuesDir || '检验指标_实名'),
+    configFile: path.resolve(rootDir, options.configFile || 'report.config.json'),
+    templatePath: options.templatePath ? path.resolve(rootDir, options.templatePath) : null,
+    employeeSheetPath: options.employeeSheetPath ? path.resolve(rootDir, options.employeeSheetPath) : null,
+  }
+}
 
-const ROOT = path.resolve(__dirname, '.')
-const DATA_DIR = path.join(ROOT, 'data')
-const OUTPUT_DIR = path.join(ROOT, 'output')
-const PDF_IMAGE_DIR = path.join(OUTPUT_DIR, '_pdf_images')
-const PDF_TEMP_DIR = path.join(PDF_IMAGE_DIR, '_tmp')
+// canvas 是原生模块，pdfjs 加载时也会尝试载入它：两者都只在渲染 / 解析 PDF 与处理图片时加载，
+// 读取表格、拼装 PPT 与测试不依赖它们
+let canvasModule = null
+function loadCanvas () {
+  if (!canvasModule) canvasModule = require('canvas')
+  return canvasModule
+}
 
-const TEMPLATE_CANDIDATES = ['2025员工体检报告（模板）.pptx', 'template.pptx']
-const EMPLOYEE_SHEET_CANDIDATES = ['员工表.xlsx', 'employees.xlsx']
+let pdfjsModule = null
+function loadPdfjs () {
+  if (!pdfjsModule) {
+    pdfjsModule = require('pdfjs-dist/legacy/build/pdf.js')
+    pdfjsModule.GlobalWorkerOptions.workerSrc = require.resolve('pdfjs-dist/legacy/build/pdf.worker.js')
+  }
+  return pdfjsModule
+}
+
+// report.config.json 缺省时使用的配置
+const DEFAULT_CONFIG = {
+  // 影像页按检查类别排序，未列出的类别排在最后
+  categoryOrder: ['inbody', '尿检', '血检', '心电图', 'AI解读'],
+  // 文件名中的别名 -> categoryOrder 中的类别
+  categoryAliases: {},
+  // 总结超出一页时，续页开头显示的标记；设为空串则不显示
+  summaryContinuedMarker: '（续）',
+  // 总结中与这些文字完全一致的普通段落按小标题排版（Word 已设置标题样式的段落无需列出）
+  summaryHeadings: ['存在问题', '异常指标', '建议'],
+  // AI 总结的来源，按先后顺序取第一个有内容的：docx、markdown（.md）、text（.txt）、pdf（有文字层的 PDF）、column（员工表的总结列）
+  summarySources: ['docx', 'markdown', 'text', 'pdf', 'column'],
+  // 员工表中存放 AI 总结的列名
+  summaryColumn: '总结',
+  // 并行生成的线程数，"auto" 按 CPU 核数决定；命令行 --concurrency=N 可临时覆盖
+  concurrency: 'auto',
+  // 每个工作线程的堆内存上限（MB），超出时该员工记为失败
+  workerMemoryMb: 1024,
+  // 生成后删除 output/ 中被新版本取代的旧报告（命令行 --clean 同效）
+  cleanSuperseded: false,
+  // 图片预处理，见 DEFAULT_IMAGE_OPTIONS
+  images: {},
+  // 影像页版式：single（每页一张）、stack-2（上下两张）、grid-2x2（四宫格），按类别指定
+  defaultImageLayout: 'single',
+  categoryLayouts: {},
+  // 从检验报告 PDF 的文字层提取指标，导出到 output/检验指标/，并生成异常指标页
+  labValues: true,
+  // 历年对比：读取 historyDir/<年份>/ 下往年的指标 JSON 与员工表，生成对比表格页
+  yearComparison: true,
+  historyDir: 'history',
+  // 本次报告的年份，缺省为当前年份
+  reportYear: null,
+  // 对比的关键指标，缺省见 DEFAULT_COMPARISON_METRICS
+  comparisonMetrics: null,
+  // 全员汇总（命令行 --aggregate 同效）：输出 体检汇总_*.xlsx / .pptx，不含员工姓名
+  aggregateReport: false,
+  departmentColumn: '部门',
+  // 年龄段分界，[30, 40, 50] 即 30岁以下 / 30–39岁 / 40–49岁 / 50岁及以上
+  ageBands: [30, 40, 50],
+  // AI 总结中统计的常见发现，缺省见 DEFAULT_FINDING_KEYWORDS
+  findingKeywords: null,
+  topFindings: 10,
+  // 影像页水印：在图片上叠加半透明的 “工号 生成日期”
+  watermark: false,
+  watermarkOpacity: 0.3,
+  // 匿名导出（命令行 --anonymize 同效）：姓名、工号、年龄换成加盐哈希生成的固定代号，对照表写入 匿名映射.json
+  anonymize: false,
+  // 匿名导出时保留的员工表列；其余列（手机号、部门等）清空，历年对比用到的指标列自动保留
+  anonymizeKeepColumns: ['性别', '体检日期', '体检机构'],
+  // 留空时首次运行随机生成并保存在 匿名映射.json 中
+  anonymizeSalt: null,
+  // 员工表读取的 Sheet（命令行 --sheet 可覆盖）：缺省为第一个，"*" 为全部 Sheet（没有姓名列的 Sheet 跳过）
+  employeeSheet: null,
+  // 表头别名，如 { "工号": ["Staff No"] }；与内置别名（Name、Employee ID、Gender、Age、Department 等）合并
+  headerAliases: {},
+  // 同时输出 PDF 版（命令行 --pdf 同效）：员工体检报告_姓名_工号.pdf
+  pdfOutput: false,
+  // "auto" 优先用本机 LibreOffice 转换，找不到时用内置排版；也可指定 "libreoffice" / "builtin"
+  pdfEngine: 'auto',
+  // soffice 可执行文件位置，留空时在 PATH 与默认安装目录中查找
+  libreOfficePath: null,
+  // 内置排版的中文字体：字体文件路径，.ttc 需写成 { "path": "...", "family": "PostScript 名" }；留空时查找系统字体
+  pdfFont: null,
+}
 
 const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.bmp'])
 const PDF_EXTENSIONS = new Set(['.pdf'])
+// 需要先转换的附件：WebP / TIFF 转 PNG，Excel 转表格页，Word 转文字页
+const RASTER_EXTENSIONS = new Set(['.webp', '.tif', '.tiff'])
+const SPREADSHEET_EXTENSIONS = new Set(['.xlsx'])
+const DOCUMENT_EXTENSIONS = new Set(['.docx'])
 const EMU_PER_INCH = 914400
 
 const ExcelJS = require('exceljs')
 
-async function loadEmployeesFromExcel () {
-  const excelPath = await resolveExistingPath(
-    EMPLOYEE_SHEET_CANDIDATES,
-    '员工表'
-  )
+const REQUIRED_EMPLOYEE_COLUMNS = ['姓名', '工号']
+const EXPECTED_EMPLOYEE_COLUMNS = [...REQUIRED_EMPLOYEE_COLUMNS, '性别', '年龄']
+// 表头别名 -> 标准列名，比较时忽略大小写与空白；配置 headerAliases 可追加
+const DEFAULT_HEADER_ALIASES = {
+  姓名: ['Name', 'Full Name', 'Employee Name', '员工姓名'],
+  工号: ['Employee ID', 'Employee No', 'Emp ID', 'Staff ID', 'ID', '员工编号', '员工工号'],
+  性别: ['Gender', 'Sex'],
+  年龄: ['Age'],
+  部门: ['Department', 'Dept'],
+  总结: ['AI总结', 'Summary', 'AI Summary'],
+}
+const VALID_AGE_PATTERN = /^\d{1,3}(\.\d+)?(\s*岁)?$/
 
-  const workbook = new ExcelJS.Workbook()
-  await workbook.xlsx.readFile(excelPath)
+function normalizeHeader (header) {
+  return String(header).replace(/\s+/g, '').toLowerCase()
+}
+
+function buildHeaderAliasIndex (config) {
+  const userAliases = (config && config.headerAliases) || {}
+  const index = new Map()
+  for (const canonical of new Set([...Object.keys(DEFAULT_HEADER_ALIASES), ...Object.keys(userAliases)])) {
+    index.set(normalizeHeader(canonical), canonical)
+    for (const alias of [...(userAliases[canonical] || []), ...(DEFAULT_HEADER_ALIASES[canonical] || [])]) {
+      if (!index.has(normalizeHeader(alias))) index.set(normalizeHeader(alias), canonical)
+    }
+  }
+  return index
+}
+
+/**
+ * 表头文字 -> 列名：命中别名时换成标准列名，其余列原样保留（去掉首尾空白）；
+ * 同一列名出现多次时只取第一列
+ */
+function mapHeaders (rawHeaders, aliasIndex) {
+  const columns = []
+  const used = new Set()
+  rawHeaders.forEach((raw, position) => {
+    const text = String(raw || '').trim()
+    if (!text) return
+    const name = aliasIndex.get(normalizeHeader(text)) || text
+    if (used.has(name)) return
+    used.add(name)
+    columns.push({ name, position })
+  })
+  return columns
+}
+
+/**
+ * 读取工作表：首行为表头，每个数据行按表头转成 { 列名: 显示文字 }，并记下行号；全空的行跳过
+ */
+function readSheetRows (sheet, placeholderOptions, aliasIndex = buildHeaderAliasIndex()) {
+  const rawHeaders = []
+  sheet.getRow(1).eachCell((cell, col) => { rawHeaders[col] = cellValueToText(cell.value) })
+  const columns = mapHeaders(rawHeaders, aliasIndex)
+
+  const rows = []
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return
+    const fields = {}
+    for (const { name, position } of columns) {
+      fields[name] = cellValueToText(row.getCell(position).value, name, placeholderOptions).trim()
+    }
+    if (Object.values(fields).some(Boolean)) rows.push({ rowNumber, fields })
+  })
+  return { headers: columns.map((c) => c.name), rows }
+}
 
-  const sheet = workbook.worksheets[0]
-  if (!sheet) throw new Error('员工表读取失败：没有找到第一个 Sheet')
+/**
+ * RFC 4180 CSV：逗号分隔，双引号包裹的字段可含逗号、换行与 "" 转义
+ */
+function parseCsv (text) {
+  const records = []
+  let record = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (ch === '"') {
+        quoted = false
+      } else {
+        field += ch
+      }
+    } else if (ch === '"') {
+      quoted = true
+    } else if (ch === ',') {
+      record.push(field)
+      field = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += ch
+    }
+  }
+  if (field || record.length) {
+    record.push(field)
+    records.push(record)
+  }
+  return records
+}
+
+// Excel 另存的 CSV、记事本保存的 TXT 常为 GBK：不是合法 UTF-8 时按 GB18030 解码
+function decodeTextBuffer (buffer) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '')
+  } catch (e) {
+    return new TextDecoder('gb18030').decode(buffer)
+  }
+}
 
-  // 读取表头 -> 列号映射
-  const headerMap = {}
-  sheet.getRow(1).eachCell((cell, col) => {
-    headerMap[cell.value] = col
+function readCsvRows (text, aliasIndex) {
+  const records = parseCsv(text)
+  const columns = mapHeaders(records[0] || [], aliasIndex)
+  const rows = []
+  records.slice(1).forEach((record, index) => {
+    const fields = {}
+    for (const { name, position } of columns) fields[name] = String(record[position] || '').trim()
+    // 行号与 Excel 打开该 CSV 时一致（表头为第 1 行；字段内换行不计）
+    if (Object.values(fields).some(Boolean)) rows.push({ rowNumber: index + 2, fields })
   })
+  return { headers: columns.map((c) => c.name), rows }
+}
+
+/**
+ * 读取名单类表格（员工表、往年员工表），返回 [{ sheetName, headers, rows: [{ rowNumber, fields }] }]。
+ * .csv 视为单个表；.xlsx 的 sheetName 缺省为第一个 Sheet，"*" 为全部 Sheet
+ */
+async function readRosterTables (filePath, config, sheetName) {
+  const placeholderOptions = getPlaceholderOptions(config)
+  const aliasIndex = buildHeaderAliasIndex(config)
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    return [{ sheetName: '', ...readCsvRows(decodeTextBuffer(await fs.readFile(filePath)), aliasIndex) }]
+  }
+
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.readFile(filePath)
+  let sheets = workbook.worksheets
+  if (sheetName && sheetName !== '*') {
+    const sheet = workbook.getWorksheet(sheetName)
+    if (!sheet) throw new Error(`员工表中没有名为 "${sheetName}" 的 Sheet，可选：${workbook.worksheets.map((ws) => ws.name).join(', ')}`)
+    sheets = [sheet]
+  } else if (!sheetName) {
+    sheets = sheets.slice(0, 1)
+  }
+  if (!sheets.length) throw new Error('员工表读取失败：没有找到任何 Sheet')
+  return sheets.map((sheet) => ({ sheetName: sheet.name, ...readSheetRows(sheet, placeholderOptions, aliasIndex) }))
+}
+
+function formatRowLocation (sheetName, rowNumber) {
+  return `${sheetName ? `${sheetName} ` : ''}第 ${rowNumber} 行`
+}
+
+/**
+ * 读取员工表，不因缺列或问题行而中断：缺失的列记录在 missingColumns 中，
+ * 缺工号、年龄不是数字、工号重复等问题行记录在 rowIssues 中（含行号），供预检报告使用。
+ * 工号重复的行只保留第一行。sheetName 缺省时读取第一个 Sheet，"*" 读取全部 Sheet
+ */
+async function readEmployeeSheet (config, paths, sheetName = config.employeeSheet) {
+  const filePath = paths.employeeSheetPath
+    ? await requireExistingFile(paths.employeeSheetPath, '员工表')
+    : await resolveExistingPath(EMPLOYEE_SHEET_CANDIDATES, '员工表', paths.rootDir)
+  const allTables = await readRosterTables(filePath, config, sheetName)
 
-  function col (name) {
-    return headerMap[name]
+  // 读取全部 Sheet 时，跳过没有姓名列的 Sheet（说明、统计等）
+  const usable = allTables.filter((t) => t.headers.includes('姓名'))
+  const tables = sheetName === '*' && usable.length ? usable : allTables
+  for (const table of allTables.filter((t) => !tables.includes(t))) {
+    console.warn(`ℹ️ 员工表 Sheet "${table.sheetName}" 没有姓名列，已跳过`)
   }
+  const headers = [...new Set(tables.flatMap((t) => t.headers))]
+  const missingColumns = EXPECTED_EMPLOYEE_COLUMNS
+    .filter((name) => !tables.every((t) => t.headers.includes(name)))
+    .map((name) => ({ column: name, required: REQUIRED_EMPLOYEE_COLUMNS.includes(name) }))
 
   const employees = []
-  sheet.eachRow((row, rowIndex) => {
-    if (rowIndex === 1) return
-
-    const name = row.getCell(col('姓名')).value || ''
-    if (name === null || name === undefined || name === '') return
-
-    employees.push({
-      name: String(name).trim(),
-      id: String(row.getCell(col('工号')).value || '').trim(),
-      gender: String(row.getCell(col('性别')).value || '').trim(),
-      age: String(row.getCell(col('年龄')).value || '').trim(),
-      summaryPath: null, // 会在附件扫描时自动匹配员工总结 docx
-    })
-  })
+  const rowIssues = []
+  const firstRowById = new Map()
+  for (const table of tables) {
+    if (!table.headers.includes('姓名')) continue
+    const hasIdColumn = table.headers.includes('工号')
+    for (const { rowNumber, fields } of table.rows) {
+      const location = formatRowLocation(table.sheetName, rowNumber)
+      const issue = (text) => rowIssues.push({ sheet: table.sheetName, row: rowNumber, name: fields['姓名'] || '', id: fields['工号'] || '', issue: text })
+      if (!fields['姓名']) {
+        issue('缺少姓名，已忽略')
+        continue
+      }
+      if (hasIdColumn && !fields['工号']) issue('缺少工号')
+      if (fields['年龄'] && !VALID_AGE_PATTERN.test(fields['年龄'])) issue(`年龄不是数字：${fields['年龄']}`)
+
+      if (fields['工号']) {
+        const first = firstRowById.get(fields['工号'])
+        if (first) {
+          const same = JSON.stringify(first.fields) === JSON.stringify(fields)
+          issue(same ? `与${first.location}重复，已忽略` : `工号与${first.location}（${first.fields['姓名']}）重复，已忽略`)
+          continue
+        }
+        firstRowById.set(fields['工号'], { location, fields })
+      }
 
+      // 每一列都保留下来，可在模板中以 {{列名}} 引用
+      employees.push({
+        name: fields['姓名'],
+        id: fields['工号'] || '',
+        gender: fields['性别'] || '',
+        age: fields['年龄'] || '',
+        fields,
+        summary: fields[config.summaryColumn || DEFAULT_CONFIG.summaryColumn] || '',
+      })
+    }
+  }
+
+  return {
+    filePath,
+    sheetName: tables.map((t) => t.sheetName).filter(Boolean).join(', '),
+    headers,
+    employees,
+    missingColumns,
+    rowIssues,
+  }
+}
+
+/**
+ * 读取员工表，返回员工列表；缺少必需列时抛错，问题行在控制台告警。
+ * options：rootDir、employeeSheetPath（.xlsx / .csv）、sheetName（"*" 为全部 Sheet）、configFile，或直接传入 config
+ */
+async function loadEmployees (options = {}) {
+  const paths = resolvePaths(options)
+  const config = await loadReportConfig(paths, options.config)
+  const { employees, missingColumns, headers, rowIssues } = await readEmployeeSheet(config, paths, options.sheetName)
+  const missingRequired = missingColumns.filter((c) => c.required).map((c) => c.column)
+  if (missingRequired.length) {
+    throw new Error(`员工表缺少必需列：${missingRequired.join(', ')}（现有表头：${headers.join(', ') || '无'}）。英文或其他写法的表头可在配置 headerAliases 中登记别名`)
+  }
+  for (const item of rowIssues) {
+    console.warn(`⚠️ 员工表${formatRowLocation(item.sheet, item.row)}${item.name ? `（${item.name}）` : ''}：${item.issue}`)
+  }
   return employees
 }
 
+// overrides 为调用方直接传入的配置，此时不读取配置文件
+async function loadReportConfig (paths, overrides) {
+  if (overrides) return { ...DEFAULT_CONFIG, ...overrides }
+  if (!(await fs.pathExists(paths.configFile))) return { ...DEFAULT_CONFIG }
+  try {
+    const userConfig = await fs.readJson(paths.configFile)
+    return { ...DEFAULT_CONFIG, ...userConfig }
+  } catch (e) {
+    throw new Error(`配置文件解析失败（${path.basename(paths.configFile)}）：${e.message}`)
+  }
+}
+
+/**
+ * 按工号、姓名、部门或名单文件筛选员工，条件之间为“或”；filter 为空时返回全部员工。
+ * filter：{ ids: [], names: [], departments: [], listFile }，名单文件每行一个工号或姓名（# 开头为注释）
+ */
+async function filterEmployees (employees, filter, config) {
+  if (!filter) return employees
+  const ids = new Set(filter.ids || [])
+  const names = new Set(filter.names || [])
+  const departments = new Set(filter.departments || [])
+  const listed = new Set()
+  if (filter.listFile) {
+    const text = await fs.readFile(await requireExistingFile(filter.listFile, '名单文件'), 'utf8')
+    for (const line of text.split(/\r?\n/)) {
+      if (line.trim().startsWith('#')) continue
+      line.split(/[,，\t]/).map((v) => v.trim()).filter(Boolean).forEach((v) => listed.add(v))
+    }
+  }
+  if (!ids.size && !names.size && !departments.size && !listed.size) {
+    if (filter.listFile) throw new Error(`名单文件中没有任何工号或姓名：${filter.listFile}`)
+    return employees
+  }
+
+  const department = (emp) => String((emp.fields && emp.fields[config.departmentColumn]) || '')
+  const selected = employees.filter((emp) =>
+    ids.has(emp.id) || names.has(emp.name) || departments.has(department(emp)) ||
+    listed.has(emp.id) || listed.has(emp.name)
+  )
+
+  const unmatched = [
+    ...[...ids, ...listed].filter((v) => !employees.some((emp) => emp.id === v || emp.name === v)),
+    ...[...names].filter((v) => !employees.some((emp) => emp.name === v)),
+    ...[...departments].filter((v) => !employees.some((emp) => department(emp) === v)),
+  ]
+  if (unmatched.length) console.warn(`⚠️ 以下筛选条件没有匹配到员工：${[...new Set(unmatched)].join(', ')}`)
+  if (!selected.length) throw new Error('筛选条件没有匹配到任何员工')
+  return selected
+}
+
+async function requireExistingFile (filePath, label) {
+  if (!(await fs.pathExists(filePath))) throw new Error(`${label}不存在：${filePath}`)
+  return filePath
+}
 
 // helper: find template
-async function resolveExistingPath (candidates, label) {
+async function resolveExistingPath (candidates, label, rootDir) {
   for (const candidate of candidates) {
-    const fullPath = path.join(ROOT, candidate)
+    const fullPath = path.join(rootDir, candidate)
     if (await fs.pathExists(fullPath)) {
       if (candidate !== candidates[0]) {
         console.warn(`ℹ️ ${label} 使用备用路径：${candidate}`)
@@ -84,7 +451,104 @@ async function resolveExistingPath (candidates, label) {
   throw new Error(`${label} 缺失，请确认以下文件之一存在：${candidates.join(', ')}`)
 }
 
+// ---------- cell values & placeholder formatting ----------
+const DEFAULT_PLACEHOLDER_OPTIONS = {
+  // 日期单元格与 {{日期}}（生成日期）的格式：YYYY / MM / DD / HH / mm / ss
+  dateFormat: 'YYYY年MM月DD日',
+  // 数字保留的小数位，null 表示原样输出
+  numberDecimals: null,
+  // 空单元格替换成的文字
+  emptyValue: '',
+  // 按列覆盖格式，如 { "体检日期": "YYYY-MM-DD", "身高": "0.0" }
+  columnFormats: {},
+}
+
+// 这些占位符沿用旧模板写法，允许不加 {{ }} 直接匹配
+const LEGACY_BARE_KEYS = new Set(['姓名', '工号', '性别', '年龄', '日期', '影像标题'])
+
+function getPlaceholderOptions (config) {
+  return { ...DEFAULT_PLACEHOLDER_OPTIONS, ...((config && config.placeholders) || {}) }
+}
+
+function formatDate (date, pattern, useUtc = false) {
+  const pad = (n) => String(n).padStart(2, '0')
+  const get = (method) => date[`get${useUtc ? 'UTC' : ''}${method}`]()
+  const tokens = {
+    YYYY: String(get('FullYear')),
+    MM: pad(get('Month') + 1),
+    DD: pad(get('Date')),
+    HH: pad(get('Hours')),
+    mm: pad(get('Minutes')),
+    ss: pad(get('Seconds')),
+  }
+  return pattern.replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => tokens[token])
+}
+
+function isDatePattern (pattern) {
+  return /YYYY|DD/.test(pattern)
+}
+
+// 支持 "0"、"0.00"、"#,##0"、"#,##0.0" 这类数字格式
+function formatNumber (value, pattern) {
+  const decimalsMatch = String(pattern).match(/\.(0+)$/)
+  const decimals = decimalsMatch ? decimalsMatch[1].length : 0
+  const fixed = value.toFixed(decimals)
+  if (!String(pattern).includes(',')) return fixed
+  const [intPart, fracPart] = fixed.split('.')
+  return intPart.replace(/\B(?=(\d{3})+(?!\d))/g, ',') + (fracPart ? `.${fracPart}` : '')
+}
+
+/**
+ * 把 ExcelJS 的单元格值转成展示文字：富文本、公式结果、超链接、日期、数字、错误值
+ */
+function cellValueToText (value, column, options = DEFAULT_PLACEHOLDER_OPTIONS) {
+  if (value === null || value === undefined) return ''
+  const columnFormat = options.columnFormats && options.columnFormats[column]
+
+  if (value instanceof Date) {
+    // ExcelJS 以 UTC 表示不带时区的日期单元格
+    return formatDate(value, columnFormat && isDatePattern(columnFormat) ? columnFormat : options.dateFormat, true)
+  }
+  if (typeof value === 'number') {
+    if (columnFormat && !isDatePattern(columnFormat)) return formatNumber(value, columnFormat)
+    if (options.numberDecimals !== null && options.numberDecimals !== undefined) return value.toFixed(options.numberDecimals)
+    // 去掉浮点误差，如 0.1 + 0.2
+    return String(Number(value.toPrecision(12)))
+  }
+  if (typeof value === 'boolean') return value ? '是' : '否'
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('').trim()
+    if ('formula' in value || 'sharedFormula' in value) return cellValueToText(value.result, column, options)
+    if ('hyperlink' in value) return cellValueToText(value.text, column, options)
+    if ('error' in value) return ''
+    if ('text' in value) return String(value.text).trim()
+    return ''
+  }
+  return String(value).trim()
+}
+
+/**
+ * 员工的全部占位符：员工表每一列 + 生成日期；空值使用 emptyValue
+ */
+function buildEmployeeReplacements (emp, options = DEFAULT_PLACEHOLDER_OPTIONS) {
+  const replacements = {}
+  for (const [column, value] of Object.entries(emp.fields || {})) {
+    replacements[column] = value === '' ? options.emptyValue : value
+  }
+  replacements.姓名 = emp.name || ''
+  replacements.工号 = emp.id || replacements.工号 || ''
+  replacements.性别 = emp.gender || replacements.性别 || ''
+  replacements.年龄 = emp.age || replacements.年龄 || ''
+  if (!emp.fields || !emp.fields.日期) replacements.日期 = formatDate(new Date(), options.dateFormat)
+  return replacements
+}
+
 // ---------- xml/text helpers ----------
+// <p:cSld name>：LibreOffice 导出 PDF 时用作书签
+function setSlideName (slideXml, name) {
+  return slideXml.replace(/<p:cSld\b([^>]*)>/, (m, attrs) => `<p:cSld${attrs.replace(/\s+name="[^"]*"/, '')} name="${escapeXmlValue(name)}">`)
+}
+
 function escapeXmlValue (value) {
   if (!value) return ''
   return String(value)
@@ -99,43 +563,132 @@ function escapeRegex (str) {
   return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
 }
 
+const PLACEHOLDER_SPACE = '(?:\\s|\\u00A0)*'
+
 /**
- * 替换 slide XML 中的占位文本（只在 <a:t> 内替换，尽量不破坏结构）
+ * 把段落中连续的 <a:r> 分组（<a:br/>、<a:fld> 等会打断分组），返回每个 run 的位置与解码后的文字
  */
-function replaceTextInSlidePreferred (xmlContent, replacements) {
-  let result = xmlContent
-  const optionalSpaces = '(?:\\s|\\u00A0|&nbsp;|&#160;|&#xA0;)*'
+function collectParagraphRunGroups (paragraphXml) {
+  const groups = []
+  let current = []
+  let lastEnd = -1
+  for (const match of paragraphXml.matchAll(/<a:r>[\s\S]*?<\/a:r>|<a:br\b[^>]*\/>|<a:fld\b[\s\S]*?<\/a:fld>/g)) {
+    const isRun = match[0].startsWith('<a:r>')
+    const adjacent = lastEnd === -1 || !paragraphXml.slice(lastEnd, match.index).trim()
+    if (!isRun || !adjacent) {
+      if (current.length) groups.push(current)
+      current = []
+    }
+    if (isRun) {
+      const textMatch = match[0].match(/<a:t(?:\s[^>]*)?>([\s\S]*?)<\/a:t>/)
+      current.push({ start: match.index, end: match.index + match[0].length, xml: match[0], text: textMatch ? unescapeXmlValue(textMatch[1]) : '' })
+    }
+    lastEnd = match.index + match[0].length
+  }
+  if (current.length) groups.push(current)
+  return groups
+}
 
-  for (const [key, value] of Object.entries(replacements)) {
-    if (value === undefined || value === null) continue
-    const valueStr = String(value)
-    if (!valueStr && key !== '性别' && key !== '年龄') continue
+function setRunText (runXml, text) {
+  const escaped = escapeXmlValue(text)
+  if (/<a:t(?:\s[^>]*)?>[\s\S]*?<\/a:t>|<a:t\/>/.test(runXml)) {
+    return runXml.replace(/<a:t(?:\s[^>]*)?>[\s\S]*?<\/a:t>|<a:t\/>/, `<a:t>${escaped}</a:t>`)
+  }
+  return runXml.replace('</a:r>', `<a:t>${escaped}</a:t></a:r>`)
+}
+
+/**
+ * 在一组相邻 run 拼接后的文字上替换占位符：替换值写入占位符起始 run（保留其格式），
+ * 被占位符覆盖的其他 run 文字删除，删空的 run 一并移除
+ */
+function replaceInRunGroup (runs, matches) {
+  const texts = runs.map((run) => run.text)
+  const offsets = []
+  let offset = 0
+  for (const text of texts) {
+    offsets.push(offset)
+    offset += text.length
+  }
+  const touched = new Set()
+  const anchors = new Set()
 
-    const escapedValue = escapeXmlValue(valueStr)
-    const keyPattern = escapeRegex(key)
+  // 从后往前替换，前面的偏移量不受影响
+  for (const { start, end, value } of [...matches].sort((a, b) => b.start - a.start)) {
+    for (let i = runs.length - 1; i >= 0; i--) {
+      const runStart = offsets[i]
+      const runEnd = runStart + runs[i].text.length
+      if (runEnd <= start || runStart >= end) continue
+      const localStart = Math.max(start, runStart) - runStart
+      const localEnd = Math.min(end, runEnd) - runStart
+      const isAnchor = start >= runStart
+      texts[i] = texts[i].slice(0, localStart) + (isAnchor ? value : '') + texts[i].slice(localEnd)
+      touched.add(i)
+      if (isAnchor) anchors.add(i)
+    }
+  }
 
-    const textRunPattern = /(<a:t[^>]*>)([\s\S]*?)(<\/a:t>)/gi
-    result = result.replace(textRunPattern, (match, openTag, content, closeTag) => {
-      let updatedContent = content
+  return runs.map((run, i) => {
+    if (!touched.has(i)) return run.xml
+    if (!texts[i] && !anchors.has(i)) return ''
+    return setRunText(run.xml, texts[i])
+  })
+}
 
-      const placeholderPattern = new RegExp(`\\{\\{${optionalSpaces}${keyPattern}${optionalSpaces}\\}\\}`, 'gi')
-      updatedContent = updatedContent.replace(placeholderPattern, (phMatch) => {
-        const suffixMatch = phMatch.match(/((?:\s|\u00A0|&nbsp;|&#160;|&#xA0;)*)$/i)
-        const suffix = suffixMatch ? suffixMatch[1] : ''
-        return `${escapedValue}${suffix}`
-      })
+/**
+ * 替换 slide XML 中的占位符 {{key}} / [key]。PowerPoint 常把一个占位符拆到多个 run 中，
+ * 因此按段落拼接 run 的文字后再匹配。
+ * options.bareKeys：兼容旧模板，整段文字恰好是该键（如 "姓名"）时也替换；"姓名：" 这样的标签不受影响
+ */
+function replaceSlidePlaceholders (xmlContent, replacements, options = {}) {
+  const keys = Object.keys(replacements).filter((key) => replacements[key] !== undefined && replacements[key] !== null)
+  if (!keys.length) return xmlContent
+  const keyAlternation = keys.sort((a, b) => b.length - a.length).map(escapeRegex).join('|')
+  const placeholderPattern = new RegExp(
+    `\\{\\{${PLACEHOLDER_SPACE}(${keyAlternation})${PLACEHOLDER_SPACE}\\}\\}|\\[${PLACEHOLDER_SPACE}(${keyAlternation})${PLACEHOLDER_SPACE}\\]`, 'g')
+  const bareKeys = options.bareKeys || new Set()
 
-      const bracketPattern = new RegExp(`\\[${optionalSpaces}${keyPattern}${optionalSpaces}\\]`, 'gi')
-      updatedContent = updatedContent.replace(bracketPattern, escapedValue)
+  return xmlContent.replace(/<a:p>[\s\S]*?<\/a:p>/g, (paragraphXml) => {
+    let result = paragraphXml
+    // 从后往前处理分组，保持前面分组的位置有效
+    for (const runs of collectParagraphRunGroups(paragraphXml).reverse()) {
+      const text = runs.map((run) => run.text).join('')
+      const matches = []
+      const bareKey = text.replace(/\u00A0/g, ' ').trim()
+      if (bareKeys.has(bareKey) && bareKey in replacements) {
+        matches.push({ start: 0, end: text.length, value: String(replacements[bareKey]) })
+      } else {
+        for (const match of text.matchAll(placeholderPattern)) {
+          const key = match[1] || match[2]
+          matches.push({ start: match.index, end: match.index + match[0].length, value: String(replacements[key]) })
+        }
+      }
+      if (!matches.length) continue
 
-      const directPattern = new RegExp(`${optionalSpaces}${keyPattern}${optionalSpaces}`, 'gi')
-      updatedContent = updatedContent.replace(directPattern, escapedValue)
+      const runXmls = replaceInRunGroup(runs, matches)
+      const groupStart = runs[0].start
+      const groupEnd = runs[runs.length - 1].end
+      let rebuilt = result.slice(groupStart, groupEnd)
+      for (let i = runs.length - 1; i >= 0; i--) {
+        const localStart = runs[i].start - groupStart
+        const localEnd = runs[i].end - groupStart
+        rebuilt = rebuilt.slice(0, localStart) + runXmls[i] + rebuilt.slice(localEnd)
+      }
+      result = result.slice(0, groupStart) + rebuilt + result.slice(groupEnd)
+    }
+    return result
+  })
+}
 
-      return `${openTag}${updatedContent}${closeTag}`
-    })
+/**
+ * 列出 XML 中仍未替换的 {{占位符}}（按段落拼接 run 文字，拆分的占位符也能发现）
+ */
+function findUnresolvedPlaceholders (xmlContent) {
+  const found = new Set()
+  for (const paragraph of xmlContent.match(/<a:p>[\s\S]*?<\/a:p>/g) || []) {
+    const text = unescapeXmlValue(getParagraphText(paragraph))
+    for (const match of text.matchAll(/\{\{\s*([^{}]+?)\s*\}\}/g)) found.add(match[1])
   }
-
-  return result
+  return [...found]
 }
 
 function parseRelationships (xml) {
@@ -201,433 +754,4016 @@ function getInitialMediaCounter (zip) {
   return numbers.length ? Math.max(...numbers) + 1 : 1
 }
 
-// ensure override in [Content_Types].xml
-function ensureContentTypeOnce (contentTypesText, partName, contentType) {
-  const partNameRegex = new RegExp(`<Override[^>]*PartName="${escapeRegex(partName)}"[^>]*>`, 'i')
-  if (contentTypesText.match(partNameRegex)) {
-    return contentTypesText
+// ---------- image geometry ----------
+const JPEG_SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf])
+
+/**
+ * 从文件头读取图片像素尺寸（PNG / JPEG / GIF / BMP），无法识别时返回 null
+ */
+function readImageSize (buffer) {
+  if (!buffer || buffer.length < 24) return null
+
+  // PNG: 8 字节签名 + IHDR
+  if (buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
   }
-  const override = `  <Override PartName="${partName}" ContentType="${contentType}"/>`
-  const typesEndIndex = contentTypesText.lastIndexOf('</Types>')
-  if (typesEndIndex === -1) {
-    throw new Error('[Content_Types].xml 缺少 </Types>')
+
+  // GIF87a / GIF89a
+  if (buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }
   }
-  return contentTypesText.slice(0, typesEndIndex) + `\n${override}\n` + contentTypesText.slice(typesEndIndex)
+
+  // BMP: BITMAPINFOHEADER，高度为负表示自上而下存储
+  if (buffer.toString('ascii', 0, 2) === 'BM') {
+    return { width: Math.abs(buffer.readInt32LE(18)), height: Math.abs(buffer.readInt32LE(22)) }
+  }
+
+  // JPEG: 逐段扫描直到 SOFn
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null
+      const marker = buffer[offset + 1]
+      if (marker === 0xff) {
+        offset++
+        continue
+      }
+      if (JPEG_SOF_MARKERS.has(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) }
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2)
+    }
+  }
+
+  return null
 }
 
-// ---------- asset collection (与之前逻辑兼容，简化版本) ----------
-async function safeReadDir (dir) {
-  if (!(await fs.pathExists(dir))) return []
-  return fs.readdir(dir)
+/**
+ * contain 策略：在占位框内等比缩放并居中，返回新的 off/ext（EMU）
+ */
+function fitImageToBox (imageSize, box) {
+  if (!imageSize || !imageSize.width || !imageSize.height || !box.cx || !box.cy) return box
+  const scale = Math.min(box.cx / imageSize.width, box.cy / imageSize.height)
+  const cx = Math.round(imageSize.width * scale)
+  const cy = Math.round(imageSize.height * scale)
+  return {
+    x: box.x + Math.round((box.cx - cx) / 2),
+    y: box.y + Math.round((box.cy - cy) / 2),
+    cx,
+    cy,
+  }
 }
 
-function normalizeName (value) {
-  if (!value) return ''
-  return String(value)
-    .replace(/\.[^.]+$/, '')
-    .replace(/[-_].*$/, '')
-    .replace(/\s+/g, '')
-    .toLowerCase()
+function readPictureBox (picXml) {
+  const offMatch = picXml.match(/<a:off x="(-?\d+)" y="(-?\d+)"\/>/)
+  const extMatch = picXml.match(/<a:ext cx="(\d+)" cy="(\d+)"\/>/)
+  if (!offMatch || !extMatch) return null
+  return {
+    x: parseInt(offMatch[1], 10),
+    y: parseInt(offMatch[2], 10),
+    cx: parseInt(extMatch[1], 10),
+    cy: parseInt(extMatch[2], 10),
+    offXml: offMatch[0],
+    extXml: extMatch[0],
+  }
 }
 
-function buildAttachmentLabel (fileName) {
-  const base = path.basename(fileName, path.extname(fileName))
-  const parts = base.split(/[-_]/)
-  return parts.slice(1).join('-') || base
+/**
+ * 模板中引用 relId 的图片框（EMU），没有时返回 null
+ */
+function findPictureFrame (slideXml, relId) {
+  const picXml = (slideXml.match(/<p:pic>[\s\S]*?<\/p:pic>/g) || []).find((xml) => xml.includes(`r:embed="${relId}"`))
+  return picXml ? readPictureBox(picXml) : null
 }
 
-async function buildImageItems (assetInfo, employee) {
-  const items = []
-  for (const att of assetInfo.attachments) {
-    if (att.type === 'image') {
-      items.push({ label: att.label, fullPath: att.fullPath })
-    } else if (att.type === 'pdf') {
-      const converted = await convertPdfAttachment(att, employee)
-      items.push(...converted)
-    }
-  }
-  return items
+/**
+ * 影像页版式：每页几行几列。categoryLayouts 按检查类别指定，未指定的类别使用 defaultImageLayout
+ */
+const IMAGE_LAYOUTS = {
+  single: { rows: 1, cols: 1 },
+  'stack-2': { rows: 2, cols: 1 },
+  'grid-2x2': { rows: 2, cols: 2 },
 }
+const IMAGE_GRID_GAP_EMU = 91440
+const IMAGE_REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image'
 
-async function extractSummaryText (filePath) {
-  try {
-    const { value } = await mammoth.extractRawText({ path: filePath })
-    return value
-      .split('\n')
-      .map((i) => i.trim())
-      .filter(Boolean)
-      .join('\n')
-  } catch (e) {
-    console.warn('无法读取总结：', e.message)
-    return ''
-  }
+function getCategoryLayout (category, config) {
+  const layouts = (config && config.categoryLayouts) || {}
+  const key = Object.keys(layouts).find((k) => k.toLowerCase() === String(category).toLowerCase())
+  const name = key ? layouts[key] : config && config.defaultImageLayout
+  return IMAGE_LAYOUTS[name] || IMAGE_LAYOUTS.single
 }
 
-// PDF conversions (reuse earlier logic)
-async function convertPdfAttachment (pdfAttachment, employee) {
-  let tempPdfPath = ''
-  try {
-    const safeLabel = `${employee.id}_${employee.name}_${pdfAttachment.label}`
-    const tempPdfName = `${crypto.randomUUID()}.pdf`
-    tempPdfPath = path.join(PDF_TEMP_DIR, tempPdfName)
-    await fs.ensureDir(PDF_TEMP_DIR)
-    await fs.copyFile(pdfAttachment.fullPath, tempPdfPath)
-
-    const pdfImgPages = await convertWithPdfRenderer(tempPdfPath, pdfAttachment)
-    if (pdfImgPages.length) return pdfImgPages
-    return convertWithPdf2Pic(tempPdfPath, pdfAttachment, safeLabel)
-  } catch (e) {
-    console.warn('pdf 转图失败：', e.message)
-    return []
-  } finally {
-    if (tempPdfPath) await fs.remove(tempPdfPath).catch(() => { })
+/**
+ * 把已排序的影像按类别版式分页：同一类别的连续影像按每页容量切分，
+ * 多图页标题形如 "血检 (1–4/8)"
+ */
+function groupImagesIntoPages (imageItems, config) {
+  const pages = []
+  let start = 0
+  while (start < imageItems.length) {
+    const category = imageItems[start].category
+    let end = start
+    while (end < imageItems.length && imageItems[end].category === category) end++
+    const categoryItems = imageItems.slice(start, end).filter((item) => !item.table && !item.blocks)
+    const layout = getCategoryLayout(category, config)
+    const capacity = layout.rows * layout.cols
+
+    for (let i = 0; i < categoryItems.length; i += capacity) {
+      const images = categoryItems.slice(i, i + capacity)
+      const first = i + 1
+      const last = i + images.length
+      const title = capacity === 1 || categoryItems.length === 1
+        ? images[0].label
+        : `${category} (${first === last ? first : `${first}–${last}`}/${categoryItems.length})`
+      pages.push({ layout, images, title, category })
+    }
+    // Excel / Word 检查排在同类别图片之后，每份一组页
+    for (const item of imageItems.slice(start, end).filter((item) => item.table || item.blocks)) {
+      pages.push({ layout, images: [], title: item.label, category, table: item.table, blocks: item.blocks })
+    }
+    start = end
   }
+  return pages
 }
 
-async function convertWithPdfRenderer (pdfPath, attachment) {
-  try {
-    const pdfBuffer = await fs.readFile(pdfPath)
-    const pdfData = new Uint8Array(pdfBuffer)
-    const pdfDoc = await pdfjsLib.getDocument({ data: pdfData, verbosity: 0 }).promise
-    const pages = []
-    for (let pageNumber = 1; pageNumber <= pdfDoc.numPages; pageNumber++) {
-      const page = await pdfDoc.getPage(pageNumber)
-      const viewport = page.getViewport({ scale: 2 })
-      const canvas = createCanvas(viewport.width, viewport.height)
-      const context = canvas.getContext('2d')
-      await page.render({ canvasContext: context, viewport }).promise
-      const imageBuffer = canvas.toBuffer('image/png')
-      pages.push({
-        label: `${attachment.label} 第${pageNumber}页`,
-        data: `data:image/png;base64,${imageBuffer.toString('base64')}`,
+/**
+ * 把模板图片框按版式切成等大的格子（EMU），格子之间留 IMAGE_GRID_GAP_EMU 间距
+ */
+function getGridCells (frame, layout) {
+  const cellWidth = Math.floor((frame.cx - IMAGE_GRID_GAP_EMU * (layout.cols - 1)) / layout.cols)
+  const cellHeight = Math.floor((frame.cy - IMAGE_GRID_GAP_EMU * (layout.rows - 1)) / layout.rows)
+  const cells = []
+  for (let row = 0; row < layout.rows; row++) {
+    for (let col = 0; col < layout.cols; col++) {
+      cells.push({
+        x: frame.x + col * (cellWidth + IMAGE_GRID_GAP_EMU),
+        y: frame.y + row * (cellHeight + IMAGE_GRID_GAP_EMU),
+        cx: cellWidth,
+        cy: cellHeight,
       })
     }
-    return pages
-  } catch (e) {
-    console.warn('pdf renderer 失败：', e.message)
-    return []
   }
+  return cells
 }
 
-async function convertWithPdf2Pic (pdfPath, attachment, safeLabel) {
-  try {
-    await fs.ensureDir(PDF_IMAGE_DIR)
-    const convert = pdfFromPath(pdfPath, {
-      density: 144,
-      format: 'png',
-      width: 1200,
-      height: 800,
-      saveFilename: safeLabel,
-      savePath: PDF_IMAGE_DIR,
-    })
-    const pages = await convert.bulk(-1, { responseType: 'base64' })
-    return pages.map((p) => ({
-      label: `${attachment.label} 第${p.page || '?'}页`,
-      data: `data:image/png;base64,${p.base64}`,
-    }))
-  } catch (e) {
-    console.warn('pdf2pic 失败：', e.message)
-    return []
-  }
+/**
+ * 用模板中引用 relId 的 <p:pic> 排布多张图片：第一张沿用原图片元素，
+ * 其余复制该元素并换上新的 id 与关系；每张图在自己的格子内按 contain 缩放居中。
+ * placements：[{ relId, imageSize, box }]
+ */
+function layoutPicturesInFrame (slideXml, relId, placements) {
+  const picXml = (slideXml.match(/<p:pic>[\s\S]*?<\/p:pic>/g) || []).find((xml) => xml.includes(`r:embed="${relId}"`))
+  if (!picXml) return slideXml
+  let nextId = getMaxShapeId(slideXml) + 1
+
+  const pics = placements.map((placement, index) => {
+    let xml = picXml
+    if (index > 0) {
+      const id = nextId++
+      xml = xml
+        .replace(`r:embed="${relId}"`, `r:embed="${placement.relId}"`)
+        .replace(/<p:cNvPr\b[^>]*\/>|<p:cNvPr\b[^>]*>[\s\S]*?<\/p:cNvPr>/, `<p:cNvPr id="${id}" name="图片 ${id}"/>`)
+    }
+    const box = readPictureBox(xml)
+    if (!box) return xml
+    const fitted = fitImageToBox(placement.imageSize, placement.box)
+    return xml
+      .replace(box.offXml, `<a:off x="${fitted.x}" y="${fitted.y}"/>`)
+      .replace(box.extXml, `<a:ext cx="${fitted.cx}" cy="${fitted.cy}"/>`)
+  })
+  return slideXml.replace(picXml, pics.join(''))
 }
 
-// ---------- core: build a report per employee using template as base ----------
-async function main () {
-  await fs.ensureDir(OUTPUT_DIR)
-  await fs.ensureDir(PDF_IMAGE_DIR)
-  await fs.ensureDir(PDF_TEMP_DIR)
+// ---------- image normalization ----------
+const DEFAULT_IMAGE_OPTIONS = {
+  // 按 EXIF 方向旋转手机照片
+  exifRotate: true,
+  // 裁掉四周颜色一致的白边
+  trimMargins: false,
+  // 白边判定的颜色容差（0-255）
+  trimTolerance: 12,
+  // 按模板图片框的实际尺寸限制分辨率
+  maxDpi: 200,
+  // 扫描件（PDF 渲染页、JPEG 照片）重新编码为 JPEG；PNG 截图等保持无损
+  jpegForScans: true,
+  jpegQuality: 0.85,
+}
 
-  const templatePath = await resolveExistingPath(TEMPLATE_CANDIDATES, '模板文件')
-  const templateBuffer = await fs.readFile(templatePath)
+function getImageOptions (config) {
+  return { ...DEFAULT_IMAGE_OPTIONS, ...((config && config.images) || {}) }
+}
 
-  console.log('正在读取员工表（Excel）...')
-  const employees = await loadEmployeesFromExcel()
-  console.log(`员工数量：${employees.length}`)
+/**
+ * 读取 JPEG 的 EXIF 方向（1-8），没有 EXIF 或不是 JPEG 时返回 1
+ */
+function readExifOrientation (buffer) {
+  if (!buffer || buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return 1
+  let offset = 2
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return 1
+    const marker = buffer[offset + 1]
+    const length = buffer.readUInt16BE(offset + 2)
+    if (length < 2) return 1
+    if (marker === 0xe1 && buffer.toString('ascii', offset + 4, offset + 8) === 'Exif') {
+      // 截断或损坏的 EXIF 不抛错，读取的每个位置都限制在该段之内，越界时按未旋转处理
+      const end = Math.min(offset + 2 + length, buffer.length)
+      const tiff = offset + 10
+      if (tiff + 8 > end) return 1
+      const little = buffer.toString('ascii', tiff, tiff + 2) === 'II'
+      const read16 = (pos) => (little ? buffer.readUInt16LE(pos) : buffer.readUInt16BE(pos))
+      const read32 = (pos) => (little ? buffer.readUInt32LE(pos) : buffer.readUInt32BE(pos))
+      const ifd = tiff + read32(tiff + 4)
+      if (ifd + 2 > end) return 1
+      const entries = read16(ifd)
+      for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12
+        if (entry + 12 > end) return 1
+        if (read16(entry) === 0x0112) {
+          const value = read16(entry + 8)
+          return value >= 1 && value <= 8 ? value : 1
+        }
+      }
+      return 1
+    }
+    if (marker === 0xda) return 1
+    offset += 2 + length
+  }
+  return 1
+}
 
+// EXIF 方向 5-8 需要交换宽高
+function getOrientedSize (size, orientation) {
+  return orientation >= 5 ? { width: size.height, height: size.width } : size
+}
 
-  // scan data dir for files
-  const availableFiles = await safeReadDir(DATA_DIR)
+function applyOrientationTransform (context, orientation, width, height) {
+  switch (orientation) {
+    case 2: context.transform(-1, 0, 0, 1, width, 0); break
+    case 3: context.transform(-1, 0, 0, -1, width, height); break
+    case 4: context.transform(1, 0, 0, -1, 0, height); break
+    case 5: context.transform(0, 1, 1, 0, 0, 0); break
+    case 6: context.transform(0, 1, -1, 0, height, 0); break
+    case 7: context.transform(0, -1, -1, 0, height, width); break
+    case 8: context.transform(0, -1, 1, 0, 0, width); break
+  }
+}
 
-  const success = []
+/**
+ * 找出四周与左上角颜色一致（容差内）的边距，返回内容区域；整张图都是同一颜色时返回 null
+ */
+function findContentBounds (imageData, tolerance) {
+  const { data, width, height } = imageData
+  const base = [data[0], data[1], data[2], data[3]]
+  const isMargin = (x, y) => {
+    const i = (y * width + x) * 4
+    return Math.abs(data[i] - base[0]) <= tolerance &&
+      Math.abs(data[i + 1] - base[1]) <= tolerance &&
+      Math.abs(data[i + 2] - base[2]) <= tolerance &&
+      Math.abs(data[i + 3] - base[3]) <= tolerance
+  }
+  const rowIsMargin = (y) => { for (let x = 0; x < width; x++) if (!isMargin(x, y)) return false; return true }
+  const colIsMargin = (x, top, bottom) => { for (let y = top; y <= bottom; y++) if (!isMargin(x, y)) return false; return true }
+
+  let top = 0
+  while (top < height && rowIsMargin(top)) top++
+  if (top === height) return null
+  let bottom = height - 1
+  while (bottom > top && rowIsMargin(bottom)) bottom--
+  let left = 0
+  while (left < width && colIsMargin(left, top, bottom)) left++
+  let right = width - 1
+  while (right > left && colIsMargin(right, top, bottom)) right--
+  return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 }
+}
+
+/**
+ * 按图片框在幻灯片上的实际尺寸与 maxDpi 计算允许的最大像素尺寸
+ */
+function getMaxPixelSize (size, frame, maxDpi) {
+  if (!frame || !maxDpi) return size
+  const fitted = fitImageToBox(size, { x: 0, y: 0, cx: frame.cx, cy: frame.cy })
+  const maxWidth = Math.ceil((fitted.cx / EMU_PER_INCH) * maxDpi)
+  if (size.width <= maxWidth) return size
+  const scale = maxWidth / size.width
+  return { width: maxWidth, height: Math.max(1, Math.round(size.height * scale)) }
+}
+
+/**
+ * 媒体注入前的预处理：EXIF 旋转、裁白边、按 DPI 降采样、扫描件转 JPEG。
+ * 无需处理时原样返回，不经过 canvas 重新编码。
+ * 返回 { buffer, ext, width, height }
+ */
+async function normalizeImage (buffer, ext, frame, options, source = {}) {
+  const extension = ext.toLowerCase()
+  const size = readImageSize(buffer)
+  if (!size) return { buffer, ext: extension, width: 0, height: 0 }
+
+  const orientation = options.exifRotate ? readExifOrientation(buffer) : 1
+  const orientedSize = getOrientedSize(size, orientation)
+  const isScan = source.fromPdf || source.scanned || extension === '.jpg' || extension === '.jpeg'
+  const encodeAsJpeg = options.jpegForScans && isScan
+  const targetSize = getMaxPixelSize(orientedSize, frame, options.maxDpi)
+  const needsResize = targetSize.width < orientedSize.width
+  const needsReencode = extension === '.bmp' || (encodeAsJpeg && !['.jpg', '.jpeg'].includes(extension))
+  if (orientation === 1 && !options.trimMargins && !needsResize && !needsReencode) {
+    return { buffer, ext: extension, ...orientedSize }
+  }
+
+  const { createCanvas, loadImage } = loadCanvas()
+  const image = await loadImage(buffer)
+  let canvas = createCanvas(orientedSize.width, orientedSize.height)
+  let context = canvas.getContext('2d')
+  applyOrientationTransform(context, orientation, orientedSize.width, orientedSize.height)
+  context.drawImage(image, 0, 0)
+
+  let content = { x: 0, y: 0, ...orientedSize }
+  if (options.trimMargins) {
+    content = findContentBounds(context.getImageData(0, 0, orientedSize.width, orientedSize.height), options.trimTolerance) || content
+  }
+
+  const outputSize = getMaxPixelSize({ width: content.width, height: content.height }, frame, options.maxDpi)
+  if (content.width !== orientedSize.width || content.height !== orientedSize.height || outputSize.width !== content.width) {
+    const orientedCanvas = canvas
+    canvas = createCanvas(outputSize.width, outputSize.height)
+    context = canvas.getContext('2d')
+    context.drawImage(orientedCanvas, content.x, content.y, content.width, content.height, 0, 0, outputSize.width, outputSize.height)
+  }
+
+  return encodeAsJpeg
+    ? { buffer: canvas.toBuffer('image/jpeg', { quality: options.jpegQuality }), ext: '.jpg', ...outputSize }
+    : { buffer: canvas.toBuffer('image/png'), ext: '.png', ...outputSize }
+}
+
+// ensure override in [Content_Types].xml
+function ensureContentTypeOnce (contentTypesText, partName, contentType) {
+  const partNameRegex = new RegExp(`<Override[^>]*PartName="${escapeRegex(partName)}"[^>]*>`, 'i')
+  if (contentTypesText.match(partNameRegex)) {
+    return contentTypesText
+  }
+  const override = `  <Override PartName="${partName}" ContentType="${contentType}"/>`
+  const typesEndIndex = contentTypesText.lastIndexOf('</Types>')
+  if (typesEndIndex === -1) {
+    throw new Error('[Content_Types].xml 缺少 </Types>')
+  }
+  return contentTypesText.slice(0, typesEndIndex) + `\n${override}\n` + contentTypesText.slice(typesEndIndex)
+}
+
+// ---------- deck assembly ----------
+const SLIDE_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.slide+xml'
+const SLIDE_REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide'
+
+/**
+ * 单个员工 PPT 的组装上下文：统一分配幻灯片编号、sldId、rId 与媒体编号
+ */
+function createDeckContext (zip) {
+  const presentationXml = zip.file('ppt/presentation.xml').asText()
+  const presentationRelsXml = zip.file('ppt/_rels/presentation.xml.rels').asText()
+
+  const slideFiles = zip.file(/^ppt\/slides\/slide\d+\.xml$/i) || []
+  const existingSlideIds = [...presentationXml.matchAll(/<p:sldId[^>]*id="(\d+)"/g)].map(m => parseInt(m[1], 10))
+  const existingRelIds = [...presentationRelsXml.matchAll(/Id="rId(\d+)"/g)].map(m => parseInt(m[1], 10) || 0)
+
+  return {
+    zip,
+    contentTypesXml: zip.file('[Content_Types].xml').asText(),
+    presRels: parseRelationships(presentationRelsXml),
+    newPresRels: [],
+    nextSlideNumber: getNextNumber(slideFiles, /slide(\d+)\.xml/i),
+    nextSlideId: (existingSlideIds.length ? Math.max(...existingSlideIds) : 256) + 1,
+    nextRelId: existingRelIds.length ? Math.max(...existingRelIds) + 1 : 10,
+    mediaCounter: getInitialMediaCounter(zip),
+    // 内容哈希 -> 媒体路径，同一份 PPT 中相同的图片只存一份
+    mediaByHash: new Map(),
+  }
+}
+
+function getSlideRelId (deck, slidePath) {
+  const target = slidePath.replace(/^ppt\//, '')
+  const rel = deck.presRels.find((r) => r.Target && r.Target.replace(/^\/?(ppt\/)?/, '') === target)
+  return rel ? rel.Id : null
+}
+
+function addMediaToDeck (deck, buffer, ext) {
+  const extension = ext.toLowerCase()
+  const contentType = IMAGE_CONTENT_TYPES[extension]
+  if (!contentType) throw new Error(`不支持的图片格式：${ext}`)
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex')
+  if (deck.mediaByHash.has(hash)) return deck.mediaByHash.get(hash)
+  const mediaPath = `ppt/media/image_${deck.mediaCounter++}${extension}`
+  deck.zip.file(mediaPath, buffer)
+  // 媒体按扩展名登记 Default，不逐个写 Override
+  deck.contentTypesXml = ensureDefaultContentType(deck.contentTypesXml, extension.slice(1), contentType)
+  deck.mediaByHash.set(hash, mediaPath)
+  return mediaPath
+}
+
+/**
+ * 以模板幻灯片的关系为基础生成新幻灯片的关系；mediaTarget 会替换其中的图片关系
+ */
+function cloneSlideRelationships (templateRels, templateSlidePath, mediaTarget) {
+  return templateRels.map((r) => {
+    const nr = Object.assign({}, r)
+    if (mediaTarget && nr.Type && nr.Type.includes('/image')) {
+      // slides are in ppt/slides/, media in ppt/media/
+      nr.Target = path.posix.relative('ppt/slides', mediaTarget)
+    } else if (nr.TargetMode !== 'External') {
+      const absolute = resolveRelationshipPath(templateSlidePath, nr.Target)
+      nr.Target = path.posix.relative('ppt/slides', absolute)
+    }
+    return nr
+  })
+}
+
+/**
+ * 写入一张新幻灯片及其关系，并登记 content type 与 presentation 关系；
+ * 返回的条目稍后由 writeSlideOrder 放入 <p:sldIdLst>
+ */
+function addSlideToDeck (deck, slideXml, rels) {
+  const slideNumber = deck.nextSlideNumber++
+  const slidePath = `ppt/slides/slide${slideNumber}.xml`
+  deck.zip.file(slidePath, slideXml)
+  deck.zip.file(`ppt/slides/_rels/slide${slideNumber}.xml.rels`, buildRelationshipsXml(rels))
+  deck.contentTypesXml = ensureContentTypeOnce(deck.contentTypesXml, `/${slidePath}`, SLIDE_CONTENT_TYPE)
+
+  const relId = `rId${deck.nextRelId++}`
+  deck.newPresRels.push({ Id: relId, Type: SLIDE_REL_TYPE, Target: `slides/slide${slideNumber}.xml` })
+  return { slidePath, slideId: deck.nextSlideId++, relId }
+}
+
+/**
+ * 重写 <p:sldIdLst>：expansions 以 rId 为键，值为替换该条目的幻灯片列表（可包含原条目自身）
+ */
+function writeSlideOrder (deck, expansions) {
+  let presContent = deck.zip.file('ppt/presentation.xml').asText()
+  const listMatch = presContent.match(/<p:sldIdLst>([\s\S]*?)<\/p:sldIdLst>/)
+  const currentEntries = listMatch ? listMatch[1].match(/<p:sldId\b[^>]*\/>/g) || [] : []
+
+  const finalEntries = []
+  for (const entryXml of currentEntries) {
+    const rid = (entryXml.match(/r:id="([^"]+)"/) || [])[1]
+    const expansion = expansions.get(rid)
+    if (!expansion) {
+      finalEntries.push(entryXml)
+      continue
+    }
+    for (const slide of expansion) {
+      finalEntries.push(slide.relId === rid ? entryXml : `<p:sldId id="${slide.slideId}" r:id="${slide.relId}"/>`)
+    }
+  }
+
+  const newSldIdLst = `<p:sldIdLst>${finalEntries.join('')}</p:sldIdLst>`
+  presContent = listMatch
+    ? presContent.replace(/<p:sldIdLst>[\s\S]*?<\/p:sldIdLst>/, newSldIdLst)
+    : presContent.replace(/(<\/p:sldMasterIdLst>(?:<p:notesMasterIdLst>[\s\S]*?<\/p:notesMasterIdLst>)?)/, `$1${newSldIdLst}`)
+  deck.zip.file('ppt/presentation.xml', presContent)
+}
+
+/**
+ * 把累积的 presentation 关系与 content types 写回压缩包
+ */
+function finalizeDeck (deck) {
+  if (deck.newPresRels.length) {
+    let presRelsContent = deck.zip.file('ppt/_rels/presentation.xml.rels').asText()
+    const insertPos = presRelsContent.lastIndexOf('</Relationships>')
+    const lines = deck.newPresRels.map((r) => `  <Relationship Id="${r.Id}" Type="${r.Type}" Target="${r.Target}"/>`)
+    presRelsContent = presRelsContent.slice(0, insertPos) + '\n' + lines.join('\n') + '\n' + presRelsContent.slice(insertPos)
+    deck.zip.file('ppt/_rels/presentation.xml.rels', presRelsContent)
+    deck.presRels.push(...deck.newPresRels)
+    deck.newPresRels = []
+  }
+  deck.zip.file('[Content_Types].xml', deck.contentTypesXml)
+}
+
+/**
+ * 按放映顺序列出 <p:sldIdLst> 中的幻灯片路径
+ */
+function listDeckSlidePaths (deck) {
+  const presContent = deck.zip.file('ppt/presentation.xml').asText()
+  return [...presContent.matchAll(/<p:sldId\b[^>]*r:id="([^"]+)"/g)]
+    .map((m) => deck.presRels.find((r) => r.Id === m[1]))
+    .filter((rel) => rel && rel.Target)
+    .map((rel) => `ppt/${rel.Target.replace(/^\/?(ppt\/)?/, '')}`)
+}
+
+// ---------- package integrity ----------
+const IMAGE_CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.bmp': 'image/bmp',
+}
+// 只清理这些目录下无人引用的部件，母版、版式、主题等原样保留
+const PRUNABLE_PART_PATTERN = /^ppt\/(slides|notesSlides|media)\/[^/]+$/
+
+function getRelsPath (partPath) {
+  return `${path.posix.dirname(partPath)}/_rels/${path.posix.basename(partPath)}.rels`
+}
+
+function getSourcePartPath (relsPath) {
+  const dir = path.posix.dirname(path.posix.dirname(relsPath))
+  const name = path.posix.basename(relsPath, '.rels')
+  return dir === '.' ? name : `${dir}/${name}`
+}
+
+function listPackageParts (zip) {
+  return Object.keys(zip.files).filter((name) => !zip.files[name].dir)
+}
+
+function ensureDefaultContentType (contentTypesText, extension, contentType) {
+  if (new RegExp(`<Default[^>]*Extension="${escapeRegex(extension)}"`, 'i').test(contentTypesText)) return contentTypesText
+  const entry = `<Default Extension="${extension}" ContentType="${contentType}"/>`
+  const lastDefault = contentTypesText.lastIndexOf('<Default ')
+  if (lastDefault === -1) return contentTypesText.replace(/(<Types[^>]*>)/, `$1${entry}`)
+  const insertPos = contentTypesText.indexOf('/>', lastDefault) + 2
+  return contentTypesText.slice(0, insertPos) + entry + contentTypesText.slice(insertPos)
+}
+
+/**
+ * 清理成品中不再被引用的部件：
+ * 从 <p:sldIdLst> 移除的幻灯片关系、随之不可达的 slide / notesSlide / media 及其 rels，
+ * 并修正 [Content_Types].xml（删除失效 Override，媒体按扩展名登记 Default）
+ */
+function cleanupDeckPackage (zip) {
+  const presRelsPath = 'ppt/_rels/presentation.xml.rels'
+  const presContent = zip.file('ppt/presentation.xml').asText()
+  const listedRelIds = new Set([...presContent.matchAll(/<p:sldId\b[^>]*r:id="([^"]+)"/g)].map((m) => m[1]))
+  const presRels = parseRelationships(zip.file(presRelsPath).asText())
+  const keptPresRels = presRels.filter((r) => r.Type !== SLIDE_REL_TYPE || listedRelIds.has(r.Id))
+  if (keptPresRels.length !== presRels.length) zip.file(presRelsPath, buildRelationshipsXml(keptPresRels))
+
+  // 从包根关系出发遍历关系图，得到所有可达部件
+  const reachable = new Set()
+  const queue = ['']
+  while (queue.length) {
+    const partPath = queue.shift()
+    const relsPath = partPath ? getRelsPath(partPath) : '_rels/.rels'
+    const relsFile = zip.file(relsPath)
+    if (!relsFile) continue
+    for (const rel of parseRelationships(relsFile.asText())) {
+      if (rel.TargetMode === 'External' || !rel.Target) continue
+      const target = rel.Target.startsWith('/') ? rel.Target.slice(1) : resolveRelationshipPath(partPath || '_', rel.Target)
+      if (reachable.has(target)) continue
+      reachable.add(target)
+      queue.push(target)
+    }
+  }
+
+  const removed = []
+  for (const name of listPackageParts(zip)) {
+    const sourcePart = name.includes('/_rels/') ? getSourcePartPath(name) : null
+    const candidate = sourcePart || name
+    if (!PRUNABLE_PART_PATTERN.test(candidate) || reachable.has(candidate)) continue
+    zip.remove(name)
+    removed.push(name)
+  }
+
+  let contentTypes = zip.file('[Content_Types].xml').asText()
+  contentTypes = contentTypes.replace(/\s*<Override[^>]*PartName="\/([^"]+)"[^>]*\/>/g, (match, partName) =>
+    !zip.file(partName) || partName.startsWith('ppt/media/') ? '' : match)
+  for (const name of listPackageParts(zip).filter((n) => n.startsWith('ppt/media/'))) {
+    const ext = path.posix.extname(name).toLowerCase()
+    if (IMAGE_CONTENT_TYPES[ext]) contentTypes = ensureDefaultContentType(contentTypes, ext.slice(1), IMAGE_CONTENT_TYPES[ext])
+  }
+  zip.file('[Content_Types].xml', contentTypes)
+  return removed
+}
+
+/**
+ * 检查成品是否会触发 PowerPoint 的“修复”提示；有问题时抛出错误，列出全部问题
+ */
+function validateDeckPackage (zip) {
+  const problems = []
+  const parts = listPackageParts(zip)
+  const contentTypes = zip.file('[Content_Types].xml').asText()
+  const defaults = new Set([...contentTypes.matchAll(/<Default[^>]*Extension="([^"]+)"/g)].map((m) => m[1].toLowerCase()))
+  const overrides = new Set([...contentTypes.matchAll(/<Override[^>]*PartName="\/([^"]+)"/g)].map((m) => m[1]))
+
+  for (const name of parts) {
+    if (name === '[Content_Types].xml') continue
+    // 不用 path.extname：它把 "_rels/.rels" 当作没有扩展名
+    const ext = name.slice(name.lastIndexOf('.') + 1).toLowerCase()
+    if (!overrides.has(name) && !defaults.has(ext)) problems.push(`${name} 没有登记 Content Type`)
+  }
+  for (const partName of overrides) {
+    if (!zip.file(partName)) problems.push(`Content Type 指向不存在的部件 ${partName}`)
+  }
+
+  for (const relsPath of parts.filter((name) => name.endsWith('.rels'))) {
+    const sourcePart = relsPath === '_rels/.rels' ? '' : getSourcePartPath(relsPath)
+    const rels = parseRelationships(zip.file(relsPath).asText())
+    const ids = new Set()
+    for (const rel of rels) {
+      if (ids.has(rel.Id)) problems.push(`${relsPath} 中关系 ID 重复：${rel.Id}`)
+      ids.add(rel.Id)
+      if (rel.TargetMode === 'External' || !rel.Target) continue
+      const target = rel.Target.startsWith('/') ? rel.Target.slice(1) : resolveRelationshipPath(sourcePart || '_', rel.Target)
+      if (!zip.file(target)) problems.push(`${relsPath} 的 ${rel.Id} 指向不存在的部件 ${target}`)
+    }
+
+    // 部件中引用的 r:id / r:embed / r:link 必须在 rels 中存在
+    if (sourcePart && /\.xml$/.test(sourcePart) && zip.file(sourcePart)) {
+      const xml = zip.file(sourcePart).asText()
+      for (const m of xml.matchAll(/\br:(?:id|embed|link|pict)="([^"]+)"/g)) {
+        if (!ids.has(m[1])) problems.push(`${sourcePart} 引用了不存在的关系 ${m[1]}`)
+      }
+    }
+  }
+
+  const presContent = zip.file('ppt/presentation.xml').asText()
+  const presRels = parseRelationships(zip.file('ppt/_rels/presentation.xml.rels').asText())
+  const slideIds = new Set()
+  const slideRelIds = new Set()
+  for (const m of presContent.matchAll(/<p:sldId\b[^>]*\/>/g)) {
+    const id = (m[0].match(/\bid="(\d+)"/) || [])[1]
+    const rid = (m[0].match(/r:id="([^"]+)"/) || [])[1]
+    if (!id || Number(id) < 256 || Number(id) > 2147483647) problems.push(`幻灯片 ID 无效：${id}`)
+    if (slideIds.has(id)) problems.push(`幻灯片 ID 重复：${id}`)
+    if (slideRelIds.has(rid)) problems.push(`幻灯片关系重复：${rid}`)
+    slideIds.add(id)
+    slideRelIds.add(rid)
+    const rel = presRels.find((r) => r.Id === rid)
+    if (!rel || rel.Type !== SLIDE_REL_TYPE) problems.push(`<p:sldIdLst> 中的 ${rid} 不是幻灯片关系`)
+  }
+  if (!slideIds.size) problems.push('成品中没有任何幻灯片')
+
+  if (problems.length) {
+    throw new Error(`生成的 PPT 结构不完整，PowerPoint 打开时会提示修复：\n  - ${problems.join('\n  - ')}`)
+  }
+}
+
+// ---------- DrawingML builders ----------
+// 内置表格样式 “中度样式 2 - 强调 1”，PowerPoint 无需 tableStyles.xml 即可识别
+const TABLE_STYLE_ID = '{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}'
+const TABLE_CELL_MARGIN_EMU = 45720
+
+function buildTableCellXml (cell, fontSize, isHeader) {
+  const bold = cell.bold || isHeader ? ' b="1"' : ''
+  const fillXml = cell.color ? `<a:solidFill><a:srgbClr val="${cell.color}"/></a:solidFill>` : ''
+  const paragraphs = String(cell.text || '').split('\n').map((line) =>
+    `<a:p><a:r><a:rPr lang="zh-CN" altLang="en-US" sz="${Math.round(fontSize * 100)}"${bold} dirty="0">${fillXml}</a:rPr><a:t>${escapeXmlValue(line)}</a:t></a:r></a:p>`
+  )
+  const span = cell.span > 1 ? ` gridSpan="${cell.span}"` : ''
+  const margins = `marL="${TABLE_CELL_MARGIN_EMU}" marR="${TABLE_CELL_MARGIN_EMU}" marT="${TABLE_CELL_MARGIN_EMU}" marB="${TABLE_CELL_MARGIN_EMU}"`
+  const cellXml = `<a:tc${span}><a:txBody><a:bodyPr/><a:lstStyle/>${paragraphs.join('')}</a:txBody><a:tcPr ${margins} anchor="ctr"/></a:tc>`
+  // 合并单元格后需要补足被合并的列
+  return cellXml + '<a:tc hMerge="1"><a:txBody><a:bodyPr/><a:lstStyle/><a:p><a:endParaRPr lang="zh-CN"/></a:p></a:txBody><a:tcPr/></a:tc>'.repeat(Math.max(0, (cell.span || 1) - 1))
+}
+
+/**
+ * 生成原生表格 <p:graphicFrame>；rows 为单元格数组（{ text, bold, color, span }）
+ */
+function buildTableGraphicFrameXml ({ id, name, x, y, rows, columnWidths, rowHeights, fontSize, headerRow }) {
+  const cx = columnWidths.reduce((a, b) => a + b, 0)
+  const cy = rowHeights.reduce((a, b) => a + b, 0)
+  const gridXml = columnWidths.map((w) => `<a:gridCol w="${w}"/>`).join('')
+  const rowsXml = rows.map((row, rowIndex) => {
+    const used = row.reduce((n, cell) => n + (cell.span || 1), 0)
+    const padded = used < columnWidths.length
+      ? [...row, ...new Array(columnWidths.length - used).fill({ text: '' })]
+      : row
+    const cellsXml = padded.map((cell) => buildTableCellXml(cell, fontSize, headerRow && rowIndex === 0)).join('')
+    return `<a:tr h="${rowHeights[rowIndex]}">${cellsXml}</a:tr>`
+  }).join('')
+
+  return `<p:graphicFrame><p:nvGraphicFramePr><p:cNvPr id="${id}" name="${escapeXmlValue(name || `表格 ${id}`)}"/><p:cNvGraphicFramePr><a:graphicFrameLocks noGrp="1"/></p:cNvGraphicFramePr><p:nvPr/></p:nvGraphicFramePr>` +
+    `<p:xfrm><a:off x="${Math.round(x)}" y="${Math.round(y)}"/><a:ext cx="${cx}" cy="${cy}"/></p:xfrm>` +
+    '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/table">' +
+    `<a:tbl><a:tblPr${headerRow ? ' firstRow="1"' : ''} bandRow="1"><a:tableStyleId>${TABLE_STYLE_ID}</a:tableStyleId></a:tblPr>` +
+    `<a:tblGrid>${gridXml}</a:tblGrid>${rowsXml}</a:tbl></a:graphicData></a:graphic></p:graphicFrame>`
+}
+
+// ---------- summary pagination ----------
+const EMU_PER_POINT = 12700
+const DEFAULT_BODY_INSETS = { l: 91440, t: 45720, r: 91440, b: 45720 }
+const DEFAULT_FONT_SIZE_PT = 18
+// PowerPoint 单倍行距约为字号的 1.2 倍
+const SINGLE_LINE_FACTOR = 1.2
+
+function getParagraphText (paragraphXml) {
+  return [...paragraphXml.matchAll(/<a:t(?:\s[^>]*)?>([\s\S]*?)<\/a:t>/g)].map((m) => m[1]).join('')
+}
+
+/**
+ * 在 slide XML 中找到承载 key 占位符（"{{key}}" 或整段文字就是 key）的 <p:sp> 与段落
+ */
+function findPlaceholderParagraph (slideXml, key) {
+  const shapePattern = /<p:sp>[\s\S]*?<\/p:sp>/g
+  let shapeMatch
+  while ((shapeMatch = shapePattern.exec(slideXml))) {
+    const shapeXml = shapeMatch[0]
+    const paragraphPattern = /<a:p>[\s\S]*?<\/a:p>/g
+    let paragraphMatch
+    while ((paragraphMatch = paragraphPattern.exec(shapeXml))) {
+      const text = getParagraphText(paragraphMatch[0]).replace(/\s+/g, '')
+      if (text === key || text.includes(`{{${key}}}`)) {
+        return {
+          shapeXml,
+          shapeStart: shapeMatch.index,
+          paragraphXml: paragraphMatch[0],
+          paragraphStart: shapeMatch.index + paragraphMatch.index,
+        }
+      }
+    }
+  }
+  return null
+}
+
+function readPlaceholderIdx (shapeXml) {
+  const match = shapeXml.match(/<p:ph\b[^>]*\bidx="(\d+)"/)
+  return match ? match[1] : null
+}
+
+/**
+ * 从文本框所在 <p:sp>（必要时参考版式中同 idx 的占位符）读取文字区域、字号与行距
+ */
+function measureTextBox (shapeXml, layoutXml, slideSize) {
+  let layoutShapeXml = ''
+  const idx = readPlaceholderIdx(shapeXml)
+  if (idx && layoutXml) {
+    layoutShapeXml = (layoutXml.match(/<p:sp>[\s\S]*?<\/p:sp>/g) || []).find((sp) => readPlaceholderIdx(sp) === idx) || ''
+  }
+
+  const xfrmPattern = /<a:xfrm[^>]*>\s*<a:off x="(-?\d+)" y="(-?\d+)"\/>\s*<a:ext cx="(\d+)" cy="(\d+)"\/>/
+  const xfrmMatch = shapeXml.match(xfrmPattern) || layoutShapeXml.match(xfrmPattern)
+  const frame = xfrmMatch
+    ? { x: parseInt(xfrmMatch[1], 10), y: parseInt(xfrmMatch[2], 10), cx: parseInt(xfrmMatch[3], 10), cy: parseInt(xfrmMatch[4], 10) }
+    : { x: Math.round(slideSize.cx * 0.1), y: Math.round(slideSize.cy * 0.1), cx: Math.round(slideSize.cx * 0.8), cy: Math.round(slideSize.cy * 0.8) }
+
+  const bodyPr = (shapeXml.match(/<a:bodyPr\b[^>]*>/) || [''])[0]
+  const inset = (name) => {
+    const m = bodyPr.match(new RegExp(`\\b${name}Ins="(\\d+)"`))
+    return m ? parseInt(m[1], 10) : DEFAULT_BODY_INSETS[name]
+  }
+
+  const sizeMatch = shapeXml.match(/<a:rPr\b[^>]*\bsz="(\d+)"/) || layoutShapeXml.match(/<a:defRPr\b[^>]*\bsz="(\d+)"/)
+  const fontSize = sizeMatch ? parseInt(sizeMatch[1], 10) / 100 : DEFAULT_FONT_SIZE_PT
+
+  const spacingMatch = shapeXml.match(/<a:lnSpc><a:spcPct val="(\d+)"\/><\/a:lnSpc>/) ||
+    layoutShapeXml.match(/<a:lnSpc><a:spcPct val="(\d+)"\/><\/a:lnSpc>/)
+  const lineSpacing = spacingMatch ? parseInt(spacingMatch[1], 10) / 100000 : 1
+
+  return {
+    frame,
+    x: frame.x + inset('l'),
+    y: frame.y + inset('t'),
+    width: frame.cx - inset('l') - inset('r'),
+    height: frame.cy - inset('t') - inset('b'),
+    fontSize,
+    lineSpacing,
+    lineHeight: fontSize * SINGLE_LINE_FACTOR * lineSpacing * EMU_PER_POINT,
+  }
+}
+
+// 粗略估算字符宽度（以字号为单位）：全角 1，半角约 0.55，空格 0.3
+function charWidthEm (ch) {
+  if (/\s/.test(ch)) return 0.3
+  if (/[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/.test(ch)) return 1
+  return 0.55
+}
+
+/**
+ * 按可用宽度（EMU）与字号把一段文字折成若干行
+ */
+function wrapText (text, width, fontSize) {
+  const maxWidth = width / (fontSize * EMU_PER_POINT)
+  const lines = []
+  let current = ''
+  let currentWidth = 0
+  for (const ch of text) {
+    const w = charWidthEm(ch)
+    if (current && currentWidth + w > maxWidth) {
+      lines.push(current)
+      current = ''
+      currentWidth = 0
+    }
+    current += ch
+    currentWidth += w
+  }
+  if (current || !lines.length) lines.push(current)
+  return lines
+}
+
+// ---- summary blocks -> DrawingML ----
+const LIST_INDENT_EMU = 285750
+const HEADING_SIZE_DELTA = [0, 4, 3, 2, 1, 1, 1]
+const HEADING_SPACE_BEFORE_PT = 6
+const HEADING_FILL_XML = '<a:solidFill><a:schemeClr val="accent1"><a:lumMod val="75000"/></a:schemeClr></a:solidFill>'
+const LIST_NUMBER_TYPES = {
+  decimal: 'arabicPeriod',
+  decimalParen: 'arabicParenR',
+  decimalEnclosedParen: 'arabicParenBoth',
+  lowerLetter: 'alphaLcPeriod',
+  upperLetter: 'alphaUcPeriod',
+  lowerRoman: 'romanLcPeriod',
+  upperRoman: 'romanUcPeriod',
+  chinese: 'ea1ChsPeriod',
+}
+
+function getBlockText (block) {
+  if (block.type === 'table') return block.rows.map((row) => row.map((cell) => cell.text).join('\t')).join('\n')
+  return block.runs.map((run) => run.text).join('')
+}
+
+function getBlockFontSize (block, box) {
+  return box.fontSize + (block.heading ? HEADING_SIZE_DELTA[Math.min(block.heading, 6)] : 0)
+}
+
+function getBlockIndent (block) {
+  return block.list ? LIST_INDENT_EMU * (block.list.level + 1) : 0
+}
+
+function getParagraphLines (block, box) {
+  return wrapText(getBlockText(block), box.width - getBlockIndent(block), getBlockFontSize(block, box))
+}
+
+function getParagraphLineHeight (block, box) {
+  return getBlockFontSize(block, box) * SINGLE_LINE_FACTOR * box.lineSpacing * EMU_PER_POINT
+}
+
+function getParagraphSpaceBefore (block) {
+  return block.heading ? HEADING_SPACE_BEFORE_PT * EMU_PER_POINT : 0
+}
+
+/**
+ * 按字符数把段落拆成两段，run 的格式随之保留
+ */
+function splitParagraphBlock (block, charCount) {
+  const headRuns = []
+  const tailRuns = []
+  let remaining = charCount
+  for (const run of block.runs) {
+    const chars = Array.from(run.text)
+    if (remaining >= chars.length) {
+      headRuns.push(run)
+      remaining -= chars.length
+    } else if (remaining > 0) {
+      headRuns.push({ ...run, text: chars.slice(0, remaining).join('') })
+      tailRuns.push({ ...run, text: chars.slice(remaining).join('') })
+      remaining = 0
+    } else {
+      tailRuns.push(run)
+    }
+  }
+  // 续页上的剩余部分不再重复项目符号 / 编号
+  const tail = { ...block, runs: tailRuns, continued: true }
+  return [{ ...block, runs: headRuns }, tail]
+}
+
+function getTableLayout (block, box) {
+  const columnCount = Math.max(1, ...block.rows.map((row) => row.reduce((n, cell) => n + (cell.span || 1), 0)))
+  const columnWidth = Math.floor(box.width / columnCount)
+  const fontSize = Math.max(8, box.fontSize - 2)
+  const rowHeights = block.rows.map((row) => {
+    const lines = Math.max(1, ...row.map((cell) => wrapText(cell.text, columnWidth * (cell.span || 1) - TABLE_CELL_MARGIN_EMU * 2, fontSize).length))
+    return Math.round(lines * fontSize * SINGLE_LINE_FACTOR * EMU_PER_POINT + TABLE_CELL_MARGIN_EMU * 2)
+  })
+  return { columnCount, columnWidth, fontSize, rowHeights }
+}
+
+/**
+ * 把总结块（段落 / 表格）按高度分配到若干页：
+ * 段落按行拆分，表格按行拆分并在续页重复表头
+ */
+function paginateSummaryBlocks (blocks, box, markerBlock) {
+  const pages = [[]]
+  let used = 0
+
+  const newPage = () => {
+    pages.push([])
+    used = 0
+    if (markerBlock) {
+      pages[pages.length - 1].push(markerBlock)
+      used += getParagraphLines(markerBlock, box).length * getParagraphLineHeight(markerBlock, box)
+    }
+  }
+  const isPageEmpty = () => pages[pages.length - 1].filter((b) => b !== markerBlock).length === 0
+
+  const queue = [...blocks]
+  while (queue.length) {
+    const block = queue.shift()
+    const page = pages[pages.length - 1]
+
+    if (block.type === 'table') {
+      const layout = getTableLayout(block, box)
+      const headerHeight = block.rows.length > 1 ? layout.rowHeights[0] : 0
+      let height = 0
+      let fitRows = 0
+      for (const rowHeight of layout.rowHeights) {
+        if (used + height + rowHeight > box.height) break
+        height += rowHeight
+        fitRows++
+      }
+      if (fitRows === block.rows.length) {
+        page.push(block)
+        used += height
+      } else if (fitRows > 1) {
+        page.push({ ...block, rows: block.rows.slice(0, fitRows) })
+        queue.unshift({ ...block, rows: [block.rows[0], ...block.rows.slice(fitRows)], repeatedHeader: headerHeight > 0 })
+        newPage()
+      } else if (isPageEmpty()) {
+        // 空页上只放得下表头或一行都放不下：仍放表头与一行正文，保证剩余行数递减，避免死循环
+        const take = headerHeight > 0 ? 2 : 1
+        page.push({ ...block, rows: block.rows.slice(0, take) })
+        if (block.rows.length > take) {
+          const rest = block.rows.slice(take)
+          queue.unshift({ ...block, rows: headerHeight > 0 ? [block.rows[0], ...rest] : rest, repeatedHeader: headerHeight > 0 })
+        }
+        newPage()
+      } else {
+        queue.unshift(block)
+        newPage()
+      }
+      continue
+    }
+
+    const lineHeight = getParagraphLineHeight(block, box)
+    const spaceBefore = isPageEmpty() ? 0 : getParagraphSpaceBefore(block)
+    const lines = getParagraphLines(block, box)
+    const capacity = Math.floor((box.height - used - spaceBefore) / lineHeight)
+
+    if (lines.length <= capacity) {
+      page.push(block)
+      used += spaceBefore + lines.length * lineHeight
+    } else if (capacity > 0 && !block.heading) {
+      const charCount = lines.slice(0, capacity).reduce((n, line) => n + Array.from(line).length, 0)
+      const [head, tail] = splitParagraphBlock(block, charCount)
+      page.push(head)
+      queue.unshift(tail)
+      newPage()
+    } else if (isPageEmpty()) {
+      page.push(block)
+      newPage()
+    } else {
+      queue.unshift(block)
+      newPage()
+    }
+  }
+
+  // 标题不单独留在页尾
+  for (let i = 0; i < pages.length - 1; i++) {
+    const page = pages[i]
+    const last = page[page.length - 1]
+    if (last && last.type === 'paragraph' && last.heading && page.length > 1) {
+      page.pop()
+      pages[i + 1].splice(markerBlock ? 1 : 0, 0, last)
+    }
+  }
+
+  return pages.filter((page) => page.some((b) => b !== markerBlock))
+}
+
+function normalizeRunPropsXml (rPrXml) {
+  const selfClosing = rPrXml.match(/^<a:rPr\b([^>]*?)\/>$/)
+  return selfClosing ? `<a:rPr${selfClosing[1]}></a:rPr>` : rPrXml
+}
+
+function setXmlAttribute (openTag, name, value) {
+  const pattern = new RegExp(`\\s${name}="[^"]*"`)
+  const stripped = openTag.replace(pattern, '')
+  return value === null || value === undefined ? stripped : stripped.replace(/^<([\w:]+)/, `<$1 ${name}="${value}"`)
+}
+
+/**
+ * 在模板 rPr 基础上叠加格式；填充色 / 高亮需位于字体元素之前
+ */
+function buildRunPropsXml (baseRPrXml, props) {
+  const normalized = normalizeRunPropsXml(baseRPrXml)
+  let openTag = normalized.match(/^<a:rPr\b[^>]*>/)[0]
+  let inner = normalized.slice(openTag.length, -'</a:rPr>'.length)
+
+  if (props.size) openTag = setXmlAttribute(openTag, 'sz', Math.round(props.size * 100))
+  if (props.bold !== undefined) openTag = setXmlAttribute(openTag, 'b', props.bold ? '1' : null)
+  if (props.italic !== undefined) openTag = setXmlAttribute(openTag, 'i', props.italic ? '1' : null)
+  if (props.underline !== undefined) openTag = setXmlAttribute(openTag, 'u', props.underline ? 'sng' : null)
+
+  let prefix = ''
+  if (props.fillXml) {
+    inner = inner.replace(/<a:(?:solidFill|noFill)>[\s\S]*?<\/a:(?:solidFill|noFill)>|<a:noFill\/>/g, '')
+    prefix += props.fillXml
+  }
+  if (props.highlight) prefix += `<a:highlight><a:srgbClr val="${props.highlight}"/></a:highlight>`
+  return `${openTag}${prefix}${inner}</a:rPr>`
+}
+
+function buildParagraphPropsXml (block, templatePPrXml) {
+  if (!block.list && !block.heading) return templatePPrXml
+
+  const spaceBefore = block.heading && !block.continued
+    ? `<a:spcBef><a:spcPts val="${HEADING_SPACE_BEFORE_PT * 100}"/></a:spcBef>`
+    : ''
+  if (!block.list) return `<a:pPr marL="0" indent="0">${spaceBefore}<a:buNone/></a:pPr>`
+
+  const marL = getBlockIndent(block)
+  if (block.continued) return `<a:pPr marL="${marL}" indent="0"><a:buNone/></a:pPr>`
+  if (!block.list.ordered) {
+    return `<a:pPr marL="${marL}" indent="-${LIST_INDENT_EMU}"><a:buFont typeface="Arial"/><a:buChar char="•"/></a:pPr>`
+  }
+  const type = LIST_NUMBER_TYPES[block.list.format] || LIST_NUMBER_TYPES.decimal
+  return `<a:pPr marL="${marL}" indent="-${LIST_INDENT_EMU}"><a:buFont typeface="+mj-lt"/><a:buAutoNum type="${type}" startAt="${block.list.number}"/></a:pPr>`
+}
+
+function buildSummaryParagraphXml (block, style) {
+  const pPrXml = buildParagraphPropsXml(block, style.pPrXml)
+  const size = block.heading ? getBlockFontSize(block, style.box) : null
+  const runsXml = block.runs
+    .filter((run) => run.text)
+    .map((run) => {
+      const fillXml = run.color ? `<a:solidFill><a:srgbClr val="${run.color}"/></a:solidFill>` : block.heading ? HEADING_FILL_XML : ''
+      const rPrXml = buildRunPropsXml(style.rPrXml, {
+        size,
+        bold: run.bold || !!block.heading || undefined,
+        italic: run.italic || undefined,
+        underline: run.underline || undefined,
+        fillXml,
+        highlight: run.highlight,
+      })
+      return `<a:r>${rPrXml}<a:t>${escapeXmlValue(run.text)}</a:t></a:r>`
+    })
+    .join('')
+  return `<a:p>${pPrXml}${runsXml || `<a:endParaRPr lang="zh-CN" altLang="en-US"/>`}</a:p>`
+}
+
+/**
+ * 把总结内容注入 summary 幻灯片；超出文本框的部分写入克隆出的续页。
+ * 段落写入模板文本框，表格生成原生 a:tbl 放在文本框区域内对应位置。
+ * 返回按顺序排列的页面 XML（第一项为原幻灯片）
+ */
+function paginateSummarySlide (slideXml, blocks, options) {
+  const { layoutXml, slideSize, continuedMarker } = options
+  const found = findPlaceholderParagraph(slideXml, '总结')
+  if (!found) {
+    return [replaceSlidePlaceholders(slideXml, { 总结: blocks.map(getBlockText).join('\n') })]
+  }
+
+  const box = measureTextBox(found.shapeXml, layoutXml, slideSize)
+  const style = {
+    box,
+    pPrXml: (found.paragraphXml.match(/<a:pPr\b[^>]*\/>|<a:pPr\b[\s\S]*?<\/a:pPr>/) || [''])[0],
+    rPrXml: (found.paragraphXml.match(/<a:rPr\b[^>]*\/>|<a:rPr\b[\s\S]*?<\/a:rPr>/) || ['<a:rPr lang="zh-CN" altLang="en-US"/>'])[0],
+  }
+  const markerBlock = continuedMarker
+    ? { type: 'paragraph', heading: 0, list: null, runs: [{ text: continuedMarker, bold: true }] }
+    : null
+  const pages = paginateSummaryBlocks(blocks, box, markerBlock)
+
+  const shapeEnd = found.shapeStart + found.shapeXml.length
+  const paragraphOffset = found.paragraphStart - found.shapeStart
+  const fillShape = (shapeXml, paragraphsXml) =>
+    shapeXml.slice(0, paragraphOffset) + paragraphsXml + shapeXml.slice(paragraphOffset + found.paragraphXml.length)
+
+  return pages.map((pageBlocks) => {
+    // 纯文字页：所有段落写入模板文本框
+    if (!pageBlocks.some((b) => b.type === 'table')) {
+      const paragraphsXml = pageBlocks.map((b) => buildSummaryParagraphXml(b, style)).join('')
+      return slideXml.slice(0, found.shapeStart) + fillShape(found.shapeXml, paragraphsXml) + slideXml.slice(shapeEnd)
+    }
+
+    // 含表格页：模板文本框保留边框并承载第一段文字，其余文字块与表格按纵向位置依次排布
+    let nextShapeId = getMaxShapeId(slideXml) + 1
+    let cursorY = box.y
+    let frameParagraphsXml = ''
+    const extraShapes = []
+    let chunk = []
+    const flushChunk = () => {
+      if (!chunk.length) return
+      const height = chunk.reduce((h, b, i) =>
+        h + (i ? getParagraphSpaceBefore(b) : 0) + getParagraphLines(b, box).length * getParagraphLineHeight(b, box), 0)
+      const paragraphsXml = chunk.map((b) => buildSummaryParagraphXml(b, style)).join('')
+      if (cursorY === box.y) {
+        frameParagraphsXml = paragraphsXml
+      } else {
+        extraShapes.push(buildTextChunkShapeXml(fillShape(found.shapeXml, paragraphsXml), nextShapeId++, {
+          x: box.frame.x,
+          y: cursorY - (box.y - box.frame.y),
+          cx: box.frame.cx,
+          cy: Math.round(height + (box.frame.cy - box.height)),
+        }))
+      }
+      cursorY += Math.round(height)
+      chunk = []
+    }
+
+    for (const block of pageBlocks) {
+      if (block.type !== 'table') {
+        chunk.push(block)
+        continue
+      }
+      flushChunk()
+      const layout = getTableLayout(block, box)
+      extraShapes.push(buildTableGraphicFrameXml({
+        id: nextShapeId++,
+        x: box.x,
+        y: cursorY,
+        rows: block.rows,
+        columnWidths: new Array(layout.columnCount).fill(layout.columnWidth),
+        rowHeights: layout.rowHeights,
+        fontSize: layout.fontSize,
+        headerRow: block.rows.length > 1,
+      }))
+      cursorY += layout.rowHeights.reduce((a, b) => a + b, 0) + Math.round(box.lineHeight / 2)
+    }
+    flushChunk()
+
+    const frameXml = fillShape(found.shapeXml, frameParagraphsXml || '<a:p><a:endParaRPr lang="zh-CN" altLang="en-US"/></a:p>')
+    return slideXml.slice(0, found.shapeStart) + frameXml + extraShapes.join('') + slideXml.slice(shapeEnd)
+  })
+}
+
+function getMaxShapeId (slideXml) {
+  const ids = [...slideXml.matchAll(/<p:cNvPr\b[^>]*\bid="(\d+)"/g)].map((m) => parseInt(m[1], 10))
+  return ids.length ? Math.max(...ids) : 1
+}
+
+/**
+ * 复制模板文本框作为续排文字块：新 id、新位置，去掉边框
+ */
+function buildTextChunkShapeXml (shapeXml, id, frame) {
+  const xfrmXml = `<a:xfrm><a:off x="${frame.x}" y="${frame.y}"/><a:ext cx="${frame.cx}" cy="${frame.cy}"/></a:xfrm>`
+  let result = shapeXml
+    .replace(/(<p:cNvPr\b[^>]*\bid=")\d+(")/, `$1${id}$2`)
+    .replace(/(<p:cNvPr\b[^>]*\bname=")[^"]*(")/, `$1总结 ${id}$2`)
+    .replace(/<a:ln\b[^>]*\/>|<a:ln\b[^>]*>[\s\S]*?<\/a:ln>/, '<a:ln><a:noFill/></a:ln>')
+  result = /<a:xfrm\b/.test(result)
+    ? result.replace(/<a:xfrm\b[^>]*>[\s\S]*?<\/a:xfrm>/, xfrmXml)
+    : result.replace(/<p:spPr\/>/, `<p:spPr>${xfrmXml}</p:spPr>`).replace(/<p:spPr>(?!<a:xfrm)/, `<p:spPr>${xfrmXml}`)
+  return result
+}
+
+function readSlideSize (zip) {
+  const presentationXml = zip.file('ppt/presentation.xml').asText()
+  const match = presentationXml.match(/<p:sldSz\b[^>]*\bcx="(\d+)"[^>]*\bcy="(\d+)"/)
+  return match ? { cx: parseInt(match[1], 10), cy: parseInt(match[2], 10) } : { cx: 6858000, cy: 9906000 }
+}
+
+function readSlideLayoutXml (zip, slidePath, slideRels) {
+  const layoutRel = slideRels.find((r) => r.Type && r.Type.includes('/slideLayout'))
+  if (!layoutRel) return ''
+  const layoutFile = zip.file(resolveRelationshipPath(slidePath, layoutRel.Target))
+  return layoutFile ? layoutFile.asText() : ''
+}
+
+function readSlideRels (zip, slidePath) {
+  const relsPath = slidePath.replace(/slides\/(slide\d+\.xml)$/, 'slides/_rels/$1.rels')
+  const relsFile = zip.file(relsPath)
+  return relsFile ? parseRelationships(relsFile.asText()) : []
+}
+
+// ---------- template slide roles ----------
+const SLIDE_ROLES = new Set(['static', 'cover', 'image-repeater', 'summary', 'closing'])
+
+/**
+ * 按 <p:sldIdLst> 顺序列出模板幻灯片：{ position, slidePath, relId }
+ */
+function listTemplateSlides (zip) {
+  const presentationXml = zip.file('ppt/presentation.xml').asText()
+  const presRels = parseRelationships(zip.file('ppt/_rels/presentation.xml.rels').asText())
+  const entries = presentationXml.match(/<p:sldId\b[^>]*\/>/g) || []
+  return entries.map((entryXml, index) => {
+    const relId = (entryXml.match(/r:id="([^"]+)"/) || [])[1]
+    const rel = presRels.find((r) => r.Id === relId)
+    return {
+      position: index + 1,
+      relId,
+      slidePath: rel ? resolveRelationshipPath('ppt/presentation.xml', rel.Target) : null,
+    }
+  }).filter((slide) => slide.slidePath)
+}
+
+function readSlideNotesText (zip, slidePath) {
+  const notesRel = readSlideRels(zip, slidePath).find((r) => r.Type && r.Type.includes('/notesSlide'))
+  if (!notesRel) return ''
+  const notesFile = zip.file(resolveRelationshipPath(slidePath, notesRel.Target))
+  if (!notesFile) return ''
+  return (notesFile.asText().match(/<a:p>[\s\S]*?<\/a:p>/g) || [])
+    .map((p) => unescapeXmlValue(getParagraphText(p)))
+    .join('\n')
+}
+
+/**
+ * 解析备注中的标记，如：
+ *   role: image-repeater
+ *   insertAfter: 2
+ */
+function parseNotesMarkers (notesText) {
+  const markers = {}
+  for (const line of notesText.split('\n')) {
+    const match = line.trim().match(/^(role|insertAfter)\s*[:：=]\s*(\S+)$/i)
+    if (match) markers[match[1] === 'role' ? 'role' : 'insertAfter'] = match[2]
+  }
+  return markers
+}
+
+// 清单中的 slide / insertAfter 可写页码（按放映顺序，从 1 开始）或文件名（如 "slide5.xml"）
+function findTemplateSlide (slides, ref) {
+  if (ref === undefined || ref === null || ref === '') return null
+  if (/^\d+$/.test(String(ref))) return slides.find((s) => s.position === parseInt(ref, 10)) || null
+  const fileName = path.posix.basename(String(ref))
+  return slides.find((s) => path.posix.basename(s.slidePath) === fileName) || null
+}
+
+function getManifestPath (templatePath) {
+  return path.join(path.dirname(templatePath), `${path.basename(templatePath, path.extname(templatePath))}.manifest.json`)
+}
+
+/**
+ * 确定模板每一页的角色，优先级：模板旁的 *.manifest.json > 幻灯片备注标记 > 默认约定
+ * （第 1 页封面、第 2 页影像页、第 3 页总结、最后一页封底，其余静态）
+ */
+async function resolveSlideRoles (zip, templatePath) {
+  const slides = listTemplateSlides(zip)
+  const manifestPath = getManifestPath(templatePath)
+  const roles = new Map()
+  const insertAfter = new Map()
+
+  if (await fs.pathExists(manifestPath)) {
+    let manifest
+    try {
+      manifest = await fs.readJson(manifestPath)
+    } catch (e) {
+      throw new Error(`模板清单解析失败（${path.basename(manifestPath)}）：${e.message}`)
+    }
+    for (const item of manifest.slides || []) {
+      const slide = findTemplateSlide(slides, item.slide)
+      if (!slide) throw new Error(`模板清单引用了不存在的幻灯片：${item.slide}`)
+      roles.set(slide, item.role)
+      if (item.insertAfter !== undefined) insertAfter.set(slide, item.insertAfter)
+    }
+  } else {
+    for (const slide of slides) {
+      const markers = parseNotesMarkers(readSlideNotesText(zip, slide.slidePath))
+      if (markers.role) roles.set(slide, markers.role)
+      if (markers.insertAfter) insertAfter.set(slide, markers.insertAfter)
+    }
+    if (!roles.size) {
+      slides.forEach((slide, index) => {
+        if (index === 0) roles.set(slide, 'cover')
+        else if (index === 1) roles.set(slide, 'image-repeater')
+        else if (index === 2) roles.set(slide, 'summary')
+        else if (index === slides.length - 1) roles.set(slide, 'closing')
+      })
+    }
+  }
+
+  const resolved = slides.map((slide) => {
+    const role = roles.get(slide) || 'static'
+    if (!SLIDE_ROLES.has(role)) {
+      throw new Error(`未知的幻灯片角色 "${role}"（第 ${slide.position} 页），可选：${[...SLIDE_ROLES].join(', ')}`)
+    }
+    let anchor = null
+    if (insertAfter.has(slide)) {
+      anchor = findTemplateSlide(slides, insertAfter.get(slide))
+      if (!anchor) throw new Error(`第 ${slide.position} 页的 insertAfter 引用了不存在的幻灯片：${insertAfter.get(slide)}`)
+    }
+    return { ...slide, role, insertAfterRelId: anchor ? anchor.relId : null }
+  })
+
+  for (const role of ['image-repeater', 'summary']) {
+    const matches = resolved.filter((s) => s.role === role)
+    if (matches.length > 1) {
+      console.warn(`⚠️ 模板中有多页 ${role}，仅使用第 ${matches[0].position} 页`)
+      matches.slice(1).forEach((s) => { s.role = 'static' })
+    }
+  }
+  return resolved
+}
+
+/**
+ * 把新幻灯片插入到 anchorRelId 对应条目之后（保留该条目已有的展开内容）
+ */
+function appendSlideExpansion (expansions, anchorRelId, slides) {
+  const current = expansions.get(anchorRelId) || [{ relId: anchorRelId }]
+  expansions.set(anchorRelId, [...current, ...slides])
+}
+
+// ---------- asset collection ----------
+async function safeReadDir (dir) {
+  if (!(await fs.pathExists(dir))) return []
+  return fs.readdir(dir)
+}
+
+/**
+ * 递归扫描 data/，folder 为第一层子目录名（如 "王磊_10023"），根目录文件为空串
+ */
+async function scanDataFiles (dir, relDir = '') {
+  const files = []
+  const entries = (await safeReadDir(dir)).sort((a, b) => a.localeCompare(b, 'zh-CN', { numeric: true }))
+  for (const entry of entries) {
+    if (entry.startsWith('.') || entry.startsWith('~$')) continue
+    const fullPath = path.join(dir, entry)
+    const relPath = relDir ? `${relDir}/${entry}` : entry
+    const stat = await fs.stat(fullPath)
+    if (stat.isDirectory()) {
+      files.push(...(await scanDataFiles(fullPath, relPath)))
+    } else {
+      files.push({ fileName: entry, relPath, fullPath, folder: relDir ? relDir.split('/')[0] : '' })
+    }
+  }
+  return files
+}
+
+// 姓名比较时忽略空白与大小写，并把 "_" 视同 "-"
+function normalizeName (value) {
+  if (!value) return ''
+  return String(value)
+    .replace(/\s+/g, '')
+    .replace(/_/g, '-')
+    .toLowerCase()
+}
+
+function splitNameTokens (value) {
+  return String(value).split(/[-_]/).filter(Boolean)
+}
+
+function buildEmployeeIndex (employees) {
+  const byId = new Map()
+  const byName = new Map()
   for (const emp of employees) {
+    if (emp.id) {
+      if (!byId.has(emp.id)) byId.set(emp.id, [])
+      byId.get(emp.id).push(emp)
+    }
+    const name = normalizeName(emp.name)
+    if (name) {
+      if (!byName.has(name)) byName.set(name, [])
+      byName.get(name).push(emp)
+    }
+  }
+  // 长名字优先，避免 "王磊" 抢先匹配 "王磊-A" 这类含连字符的姓名
+  const names = [...byName.keys()].sort((a, b) => b.length - a.length)
+  return { byId, byName, names }
+}
+
+/**
+ * 识别文件名 / 目录名开头的归属信息：
+ * - "10023-王磊-血检"、"王磊_10023-血检"：按工号匹配（优先）
+ * - "王磊-血检"：按姓名匹配，同名员工会返回多个候选
+ * rest 为去掉归属部分后剩余的标签片段
+ */
+function resolveOwner (subject, index) {
+  const compact = String(subject).replace(/\s+/g, '')
+  const lower = normalizeName(compact)
+  const tokens = splitNameTokens(compact)
+
+  if (tokens.length && index.byId.has(tokens[0])) {
+    const candidates = index.byId.get(tokens[0])
+    let rest = tokens.slice(1).join('-')
+    const name = normalizeName(candidates[0].name)
+    const restLower = normalizeName(rest)
+    if (restLower === name || restLower.startsWith(`${name}-`)) rest = rest.slice(name.length + 1)
+    return { candidates, matchedBy: 'id', rest }
+  }
+
+  const name = index.names.find((n) => lower === n || (lower.startsWith(n) && /^[-_]/.test(lower.slice(n.length))))
+  if (!name) return { candidates: [], matchedBy: null, rest: tokens.join('-') }
+
+  const afterTokens = splitNameTokens(compact.slice(name.length))
+  const sameName = index.byName.get(name)
+  if (afterTokens.length && index.byId.has(afterTokens[0])) {
+    const byId = index.byId.get(afterTokens[0]).filter((emp) => sameName.includes(emp))
+    if (byId.length) return { candidates: byId, matchedBy: 'id', rest: afterTokens.slice(1).join('-') }
+  }
+  return { candidates: sameName, matchedBy: 'name', rest: afterTokens.join('-') }
+}
+
+/**
+ * 把 data/ 下的文件分配给员工；同名且无法用工号区分的文件不分配，记为 ambiguous
+ */
+function matchDataFiles (employees, files) {
+  const index = buildEmployeeIndex(employees)
+  const byEmployee = new Map(employees.map((emp) => [emp, []]))
+  const ambiguous = []
+  const orphans = []
+
+  for (const file of files) {
+    const base = path.basename(file.fileName, path.extname(file.fileName))
+    let owner
+    let labelSource
+    if (file.folder) {
+      owner = resolveOwner(file.folder, index)
+      // 子目录内文件名可带也可不带姓名/工号前缀
+      const inner = owner.candidates.length === 1 ? resolveOwner(base, buildEmployeeIndex(owner.candidates)) : null
+      labelSource = inner && inner.matchedBy ? inner.rest : base
+    } else {
+      owner = resolveOwner(base, index)
+      labelSource = owner.rest
+    }
+
+    const label = splitNameTokens(labelSource).join('-') || base
+    if (!owner.candidates.length) {
+      orphans.push(file)
+    } else if (owner.candidates.length > 1) {
+      ambiguous.push({ file, candidates: owner.candidates, matchedBy: owner.matchedBy })
+    } else {
+      byEmployee.get(owner.candidates[0]).push({ ...file, label, matchedBy: owner.matchedBy })
+    }
+  }
+
+  return { byEmployee, ambiguous, orphans }
+}
+
+// AI 总结文件的扩展名 -> summarySources 中的来源名
+const SUMMARY_FILE_SOURCES = { '.docx': 'docx', '.md': 'markdown', '.markdown': 'markdown', '.txt': 'text', '.pdf': 'pdf' }
+const SUMMARY_SOURCE_TEXT = { docx: 'Word', markdown: 'Markdown', text: 'TXT', pdf: 'PDF', column: '员工表' }
+
+function getSummarySources (config) {
+  const sources = (config && config.summarySources) || DEFAULT_CONFIG.summarySources
+  return sources.filter((source) => SUMMARY_SOURCE_TEXT[source])
+}
+
+function getSummaryFileSource (file) {
+  return file.label.includes('总结') ? SUMMARY_FILE_SOURCES[path.extname(file.fileName).toLowerCase()] || null : null
+}
+
+function hasColumnSummary (emp, config) {
+  return getSummarySources(config).includes('column') && Boolean(String(emp.summary || '').trim())
+}
+
+function toAttachment (f) {
+  const ext = path.extname(f.fileName).toLowerCase()
+  return {
+    fileName: f.fileName,
+    relPath: f.relPath,
+    fullPath: f.fullPath,
+    label: f.label,
+    matchedBy: f.matchedBy,
+    type: getAttachmentType(ext),
+    ext,
+  }
+}
+
+/**
+ * 区分员工的 AI 总结文件与检查附件；type 为 'other' 的附件不会进入 PPT。
+ * summaryCandidates 按 summarySources 的顺序排列，summaryFile 为其中第一个；未启用的来源按普通附件处理
+ */
+function classifyEmployeeFiles (matched, config) {
+  const sources = getSummarySources(config)
+  const summaryCandidates = matched
+    .filter((f) => sources.includes(getSummaryFileSource(f)))
+    .sort((a, b) => sources.indexOf(getSummaryFileSource(a)) - sources.indexOf(getSummaryFileSource(b)))
+  const summaryFile = summaryCandidates[0] || null
+  const attachments = matched.filter((f) => !summaryCandidates.includes(f)).map(toAttachment)
+  return { summaryFile, summaryCandidates, attachments }
+}
+
+/**
+ * 把附件标签拆成类别 + 序号，如 "血检-3" -> { category: '血检', part: 3 }
+ */
+function parseAttachmentLabel (label, config) {
+  const match = String(label).match(/^(.*?)[-_ ]?(\d+)$/)
+  const rawCategory = (match && match[1] ? match[1] : label).trim()
+  const part = match && match[1] ? parseInt(match[2], 10) : 0
+  const aliases = (config && config.categoryAliases) || {}
+  const aliasKey = Object.keys(aliases).find((k) => k.toLowerCase() === rawCategory.toLowerCase())
+  return { category: aliasKey ? aliases[aliasKey] : rawCategory, part }
+}
+
+function getCategoryRank (category, config) {
+  const order = (config && config.categoryOrder) || DEFAULT_CONFIG.categoryOrder
+  const index = order.findIndex((c) => c.toLowerCase() === String(category).toLowerCase())
+  return index === -1 ? order.length : index
+}
+
+/**
+ * 按 categoryOrder 排序附件；同类别按序号数值排序（血检-2 在 血检-10 之前）
+ */
+function sortAttachments (attachments, config) {
+  return attachments
+    .map((att) => {
+      const { category, part } = parseAttachmentLabel(att.label, config)
+      return { att, category, part, rank: getCategoryRank(category, config) }
+    })
+    .sort((a, b) =>
+      a.rank - b.rank ||
+      a.category.localeCompare(b.category, 'zh-CN') ||
+      a.part - b.part ||
+      a.att.label.localeCompare(b.att.label, 'zh-CN', { numeric: true })
+    )
+    .map((entry) => entry.att)
+}
+
+/**
+ * 扫描 dataDir 并把文件分配给员工，返回 { byEmployee: Map<员工, assets>, ambiguous, orphans }；
+ * assets 为 { files, summaryFile, attachments }，可直接传给 buildImageItems / buildReportBuffer
+ */
+async function collectAssets (employees, options = {}) {
+  const paths = resolvePaths(options)
+  const config = await loadReportConfig(paths, options.config)
+  const fileMatches = matchDataFiles(employees, await scanDataFiles(paths.dataDir))
+  const byEmployee = new Map()
+  for (const [emp, files] of fileMatches.byEmployee) {
+    byEmployee.set(emp, { files, ...classifyEmployeeFiles(files, config) })
+  }
+  return { byEmployee, ambiguous: fileMatches.ambiguous, orphans: fileMatches.orphans }
+}
+
+/**
+ * 附件 -> 影像页条目（图片、PDF 页、表格、文档）。
+ * options：config、pdfCacheDir（缺省为 outputDir/_pdf_cache）、warnings（收集转换告警，写入生成台账）、
+ * failed（收集没有转出任何页面的 PDF / 位图附件的文件名）
+ */
+async function buildImageItems (assets, employee, options = {}) {
+  const config = options.config || DEFAULT_CONFIG
+  const pdfCacheDir = options.pdfCacheDir || resolvePaths(options).pdfCacheDir
+  const warnings = options.warnings || []
+  const failed = options.failed || []
+  const items = []
+  for (const att of sortAttachments(assets.attachments, config)) {
+    const { category } = parseAttachmentLabel(att.label, config)
+    if (att.type === 'image') {
+      items.push({ label: att.label, fullPath: att.fullPath, category })
+    } else if (att.type === 'pdf') {
+      const converted = await convertPdfAttachment(att, pdfCacheDir, warnings)
+      if (!converted.length) {
+        warnings.push(`${att.fileName}：PDF 未能转换为图片`)
+        failed.push(att.fileName)
+      }
+      items.push(...converted.map((page) => ({ ...page, category })))
+    } else if (att.type === 'raster') {
+      const pages = await convertRasterAttachment(att, warnings)
+      if (!pages.length) failed.push(att.fileName)
+      items.push(...pages.map((page) => ({ ...page, category })))
+    } else if (att.type === 'sheet') {
+      // 表格 / 文字类检查不经过图片处理，分组时各自成页
+      try {
+        const tables = await readExamWorkbook(att, config)
+        if (!tables.length) warnings.push(`${att.fileName}：Excel 中没有可用的表格`)
+        for (const table of tables) {
+          items.push({ label: tables.length > 1 ? `${att.label} ${table.sheetName}` : att.label, category, table })
+        }
+      } catch (e) {
+        warnings.push(`${att.fileName}：Excel 读取失败：${e.message}`)
+      }
+    } else if (att.type === 'document') {
+      const { blocks } = await extractSummaryDocument(att.fullPath, config)
+      if (blocks.length) items.push({ label: att.label, category, blocks })
+      else warnings.push(`${att.fileName}：Word 文档没有内容`)
+    }
+  }
+  return items
+}
+
+// ---------- summary document (docx structure) ----------
+const WORD_HIGHLIGHT_COLORS = {
+  yellow: 'FFFF00',
+  green: '00FF00',
+  cyan: '00FFFF',
+  magenta: 'FF00FF',
+  blue: '0000FF',
+  red: 'FF0000',
+  darkBlue: '000080',
+  darkCyan: '008080',
+  darkGreen: '008000',
+  darkMagenta: '800080',
+  darkRed: '800000',
+  darkYellow: '808000',
+  darkGray: '808080',
+  lightGray: 'C0C0C0',
+  black: '000000',
+}
+
+function unescapeXmlValue (value) {
+  return String(value)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&')
+}
+
+function readWordAttr (xml, tag, attr = 'w:val') {
+  const match = xml.match(new RegExp(`<${tag}\\b[^>]*\\b${attr}="([^"]*)"`))
+  return match ? match[1] : null
+}
+
+// <w:b/>、<w:b w:val="1"/> 为开，<w:b w:val="0"/> / "false" 为关
+function readWordToggle (rPrXml, tag) {
+  if (!new RegExp(`<${tag}\\b`).test(rPrXml)) return false
+  const val = readWordAttr(rPrXml, tag)
+  return val === null || !['0', 'false', 'none'].includes(val)
+}
+
+/**
+ * 按顶层元素切分 WordprocessingML（嵌套在表格里的段落不会被拆出来）
+ */
+function splitWordBlocks (bodyXml) {
+  const blocks = []
+  const tagPattern = /<(\/?)w:(p|tbl)\b([^>]*?)(\/?)>/g
+  let depth = 0
+  let start = -1
+  let match
+  while ((match = tagPattern.exec(bodyXml))) {
+    const [tag, closing, name, , selfClosing] = match
+    if (selfClosing) {
+      if (depth === 0) blocks.push({ name, xml: tag })
+    } else if (!closing) {
+      if (depth === 0) start = match.index
+      depth++
+    } else {
+      depth--
+      if (depth === 0) blocks.push({ name, xml: bodyXml.slice(start, match.index + tag.length) })
+    }
+  }
+  return blocks
+}
+
+function readWordStyles (zip) {
+  const headingLevels = {}
+  const stylesFile = zip.file('word/styles.xml')
+  if (!stylesFile) return headingLevels
+  for (const [styleXml] of stylesFile.asText().matchAll(/<w:style\b[^>]*w:type="paragraph"[\s\S]*?<\/w:style>/g)) {
+    const styleId = readWordAttr(styleXml, 'w:style', 'w:styleId')
+    const name = (readWordAttr(styleXml, 'w:name') || '').toLowerCase()
+    const nameMatch = name.match(/^(?:heading|标题)\s*(\d)$/)
+    const outline = readWordAttr(styleXml, 'w:outlineLvl')
+    if (nameMatch) headingLevels[styleId] = parseInt(nameMatch[1], 10)
+    else if (name === 'title') headingLevels[styleId] = 1
+    else if (outline !== null && parseInt(outline, 10) < 9) headingLevels[styleId] = parseInt(outline, 10) + 1
+  }
+  return headingLevels
+}
+
+function readWordNumbering (zip) {
+  const numberingFile = zip.file('word/numbering.xml')
+  if (!numberingFile) return {}
+  const xml = numberingFile.asText()
+
+  const abstractLevels = {}
+  for (const [abstractXml] of xml.matchAll(/<w:abstractNum\b[\s\S]*?<\/w:abstractNum>/g)) {
+    const abstractId = readWordAttr(abstractXml, 'w:abstractNum', 'w:abstractNumId')
+    abstractLevels[abstractId] = {}
+    for (const [lvlXml] of abstractXml.matchAll(/<w:lvl\b[\s\S]*?<\/w:lvl>/g)) {
+      const ilvl = readWordAttr(lvlXml, 'w:lvl', 'w:ilvl')
+      const numFmt = readWordAttr(lvlXml, 'w:numFmt') || 'decimal'
+      const lvlText = readWordAttr(lvlXml, 'w:lvlText') || ''
+      let format = numFmt
+      if (numFmt === 'decimal' && /^[（(]%\d[)）]$/.test(lvlText)) format = 'decimalEnclosedParen'
+      else if (numFmt === 'decimal' && /^%\d[)）]$/.test(lvlText)) format = 'decimalParen'
+      else if (/^(chinese|ideograph)/i.test(numFmt)) format = 'chinese'
+      abstractLevels[abstractId][ilvl] = {
+        ordered: numFmt !== 'bullet' && numFmt !== 'none',
+        format,
+        start: parseInt(readWordAttr(lvlXml, 'w:start') || '1', 10),
+      }
+    }
+  }
+
+  const numbering = {}
+  for (const [numXml] of xml.matchAll(/<w:num\b[\s\S]*?<\/w:num>/g)) {
+    const numId = readWordAttr(numXml, 'w:num', 'w:numId')
+    numbering[numId] = abstractLevels[readWordAttr(numXml, 'w:abstractNumId')] || {}
+  }
+  return numbering
+}
+
+function readWordRuns (paragraphXml) {
+  const runs = []
+  for (const [runXml] of paragraphXml.matchAll(/<w:r(?:\s[^>]*)?>[\s\S]*?<\/w:r>/g)) {
+    const rPrXml = (runXml.match(/<w:rPr>[\s\S]*?<\/w:rPr>/) || [''])[0]
+    const text = [...runXml.matchAll(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:(tab|br)\b[^>]*\/>/g)]
+      .map((m) => (m[2] ? ' ' : unescapeXmlValue(m[1])))
+      .join('')
+    if (!text) continue
+
+    const color = readWordAttr(rPrXml, 'w:color')
+    const highlight = readWordAttr(rPrXml, 'w:highlight')
+    runs.push({
+      text,
+      bold: readWordToggle(rPrXml, 'w:b'),
+      italic: readWordToggle(rPrXml, 'w:i'),
+      underline: readWordToggle(rPrXml, 'w:u'),
+      color: color && /^[0-9a-f]{6}$/i.test(color) && color !== '000000' ? color.toUpperCase() : null,
+      highlight: highlight && WORD_HIGHLIGHT_COLORS[highlight] ? WORD_HIGHLIGHT_COLORS[highlight] : null,
+    })
+  }
+
+  // 合并格式相同的相邻 run，减少输出体积
+  return runs.reduce((merged, run) => {
+    const last = merged[merged.length - 1]
+    if (last && ['bold', 'italic', 'underline', 'color', 'highlight'].every((k) => last[k] === run[k])) {
+      last.text += run.text
+    } else {
+      merged.push({ ...run })
+    }
+    return merged
+  }, [])
+}
+
+function readWordTable (tableXml) {
+  const rows = []
+  for (const [rowXml] of tableXml.matchAll(/<w:tr\b[\s\S]*?<\/w:tr>/g)) {
+    const cells = []
+    for (const [cellXml] of rowXml.matchAll(/<w:tc\b[\s\S]*?<\/w:tc>/g)) {
+      const runs = splitWordBlocks(cellXml).filter((b) => b.name === 'p').map((b) => readWordRuns(b.xml))
+      const vMerge = readWordAttr(cellXml, 'w:vMerge')
+      const continuesMerge = /<w:vMerge\b/.test(cellXml) && vMerge !== 'restart'
+      const allRuns = runs.flat()
+      cells.push({
+        text: continuesMerge ? '' : runs.map((r) => r.map((run) => run.text).join('')).join('\n').trim(),
+        bold: allRuns.length > 0 && allRuns.every((run) => run.bold),
+        color: allRuns.length && allRuns.every((run) => run.color && run.color === allRuns[0].color) ? allRuns[0].color : null,
+        span: parseInt(readWordAttr(cellXml, 'w:gridSpan') || '1', 10),
+      })
+    }
+    if (cells.length) rows.push(cells)
+  }
+  return rows
+}
+
+/**
+ * 解析 AI 总结 docx 的结构：标题、加粗 / 彩色 run、项目符号与编号列表、表格
+ * 返回 blocks（段落 / 表格）与纯文本 text
+ */
+async function extractSummaryDocument (filePath, config) {
+  try {
+    const zip = new PizZip(await fs.readFile(filePath))
+    const documentXml = zip.file('word/document.xml').asText()
+    const bodyXml = (documentXml.match(/<w:body>([\s\S]*)<\/w:body>/) || ['', ''])[1]
+    const headingLevels = readWordStyles(zip)
+    const numbering = readWordNumbering(zip)
+    const counters = {}
+
+    const blocks = []
+    for (const { name, xml } of splitWordBlocks(bodyXml)) {
+      if (name === 'tbl') {
+        const rows = readWordTable(xml)
+        if (rows.length) blocks.push({ type: 'table', rows })
+        continue
+      }
+
+      const runs = readWordRuns(xml)
+      if (!runs.map((r) => r.text).join('').trim()) continue
+      runs[0].text = runs[0].text.replace(/^\s+/, '')
+      runs[runs.length - 1].text = runs[runs.length - 1].text.replace(/\s+$/, '')
+
+      const pPrXml = (xml.match(/<w:pPr>[\s\S]*?<\/w:pPr>/) || [''])[0]
+      const styleId = readWordAttr(pPrXml, 'w:pStyle')
+      const outline = readWordAttr(pPrXml, 'w:outlineLvl')
+      let heading = (styleId && headingLevels[styleId]) || (outline !== null && parseInt(outline, 10) < 9 ? parseInt(outline, 10) + 1 : 0)
+
+      let list = null
+      const numId = readWordAttr(pPrXml, 'w:numId')
+      if (numId && numId !== '0' && numbering[numId]) {
+        const level = parseInt(readWordAttr(pPrXml, 'w:ilvl') || '0', 10)
+        const def = numbering[numId][level] || { ordered: false, format: 'bullet', start: 1 }
+        const key = `${numId}:${level}`
+        counters[key] = counters[key] === undefined ? def.start : counters[key] + 1
+        // 上级编号递增后，下级重新计数
+        Object.keys(counters).filter((k) => k.startsWith(`${numId}:`) && parseInt(k.split(':')[1], 10) > level).forEach((k) => delete counters[k])
+        list = { ordered: def.ordered, format: def.format, level, number: counters[key] }
+      }
+
+      const plain = runs.map((r) => r.text).join('').trim().replace(/[:：]$/, '')
+      if (!heading && !list && (config && config.summaryHeadings || []).includes(plain)) heading = 2
+
+      blocks.push({ type: 'paragraph', heading, list, runs })
+    }
+
+    return { blocks, text: blocks.map(getBlockText).join('\n') }
+  } catch (e) {
+    console.warn('总结结构解析失败，改用纯文本：', e.message)
+    const text = await extractSummaryText(filePath)
+    return { blocks: textToSummaryBlocks(text), text }
+  }
+}
+
+function textToSummaryBlocks (text) {
+  return String(text || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => ({ type: 'paragraph', heading: 0, list: null, runs: [{ text: line }] }))
+}
+
+async function extractSummaryText (filePath) {
+  try {
+    const { value } = await mammoth.extractRawText({ path: filePath })
+    return value
+      .split('\n')
+      .map((i) => i.trim())
+      .filter(Boolean)
+      .join('\n')
+  } catch (e) {
+    console.warn('无法读取总结：', e.message)
+    return ''
+  }
+}
+
+// ---------- summary sources (docx / Markdown / TXT / PDF / roster column) ----------
+const MARKDOWN_HEADING_PATTERN = /^(#{1,6})\s+(.*?)(?:\s+#+)?$/
+const MARKDOWN_LIST_PATTERN = /^([-*+•·]|(\d+)([.)、]))\s+(.*)$/
+const MARKDOWN_RULE_PATTERN = /^([-*_])(\s*\1){2,}$/
+const MARKDOWN_TABLE_DIVIDER_PATTERN = /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?$/
+const MARKDOWN_INLINE_PATTERN = /\*\*(.+?)\*\*|__(.+?)__|\*([^*\s](?:[^*]*[^*\s])?)\*|`([^`]+)`|!?\[([^\]]*)\]\([^)]*\)/g
+
+function createSummaryRun (text, format = {}) {
+  return { text, bold: Boolean(format.bold), italic: Boolean(format.italic), underline: false, color: null, highlight: null }
+}
+
+/**
+ * 行内格式：**加粗** / __加粗__ 与 *斜体* 保留为 run 格式，`代码` 与 [链接](url) 只留文字
+ */
+function parseMarkdownInline (text) {
+  const runs = []
+  let last = 0
+  for (const m of text.matchAll(MARKDOWN_INLINE_PATTERN)) {
+    if (m.index > last) runs.push(createSummaryRun(text.slice(last, m.index)))
+    if (m[1] !== undefined || m[2] !== undefined) runs.push(createSummaryRun(m[1] !== undefined ? m[1] : m[2], { bold: true }))
+    else if (m[3] !== undefined) runs.push(createSummaryRun(m[3], { italic: true }))
+    else runs.push(createSummaryRun(m[4] !== undefined ? m[4] : m[5]))
+    last = m.index + m[0].length
+  }
+  if (last < text.length) runs.push(createSummaryRun(text.slice(last)))
+  return runs.filter((run) => run.text)
+}
+
+function splitMarkdownTableRow (line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map((cell) => cell.trim())
+}
+
+/**
+ * Markdown / TXT 总结 -> blocks：# 标题按级别排版，- * + • 与 1. 1) 1、 开头的行转为项目符号 / 编号列表
+ * （缩进决定层级），| 表格 | 转为表格块；其余每行一个段落，与 summaryHeadings 一致的段落按小标题排版
+ */
+function parseMarkdownSummary (text, config) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n')
+  const headings = (config && config.summaryHeadings) || []
+  const blocks = []
+  let indents = []
+  let counters = []
+  let inFence = false
+
+  for (let i = 0; i < lines.length; i++) {
+    const raw = lines[i].replace(/\t/g, '    ')
+    const line = raw.trim()
+    if (/^(```|~~~)/.test(line)) {
+      inFence = !inFence
+      continue
+    }
+    if (!line || MARKDOWN_RULE_PATTERN.test(line)) continue
+
+    // 表格：表头行 + 分隔行 + 数据行
+    if (!inFence && line.startsWith('|') && MARKDOWN_TABLE_DIVIDER_PATTERN.test((lines[i + 1] || '').trim())) {
+      const rows = [splitMarkdownTableRow(line).map((cell) => ({ text: cell, bold: true, color: null, span: 1 }))]
+      i += 2
+      for (; i < lines.length && lines[i].trim().startsWith('|'); i++) {
+        rows.push(splitMarkdownTableRow(lines[i]).map((cell) => ({ text: getBlockText({ runs: parseMarkdownInline(cell) }), bold: false, color: null, span: 1 })))
+      }
+      i--
+      blocks.push({ type: 'table', rows })
+      indents = []
+      counters = []
+      continue
+    }
+
+    const headingMatch = !inFence && line.match(MARKDOWN_HEADING_PATTERN)
+    const listMatch = !inFence && line.match(MARKDOWN_LIST_PATTERN)
+    let heading = 0
+    let list = null
+    let content = inFence ? line : line.replace(/^>\s?/, '')
+    if (headingMatch) {
+      heading = headingMatch[1].length
+      content = headingMatch[2]
+    } else if (listMatch) {
+      const indent = raw.length - raw.trimStart().length
+      while (indents.length && indents[indents.length - 1] > indent) indents.pop()
+      if (!indents.length || indents[indents.length - 1] < indent) indents.push(indent)
+      const level = indents.length - 1
+      counters = counters.slice(0, level + 1)
+      if (listMatch[2]) {
+        // 同一列表内按顺序递增（与 Markdown 一致，全部写成 "1." 也能正确编号）
+        counters[level] = counters[level] === undefined ? parseInt(listMatch[2], 10) : counters[level] + 1
+        list = { ordered: true, format: listMatch[3] === ')' ? 'decimalParen' : 'decimal', level, number: counters[level] }
+      } else {
+        counters[level] = undefined
+        list = { ordered: false, format: 'bullet', level, number: 0 }
+      }
+      content = listMatch[4]
+    }
+    if (!list) {
+      indents = []
+      counters = []
+    }
+
+    const runs = inFence ? [createSummaryRun(content)] : parseMarkdownInline(content)
+    if (!runs.length) continue
+    const plain = runs.map((r) => r.text).join('').trim().replace(/[:：]$/, '')
+    if (!heading && !list && headings.includes(plain)) heading = 2
+    blocks.push({ type: 'paragraph', heading, list, runs })
+  }
+
+  return { blocks, text: blocks.map(getBlockText).join('\n') }
+}
+
+/**
+ * 读取 PDF 的文字层，按 pdf.js 给出的行尾拼接；扫描件没有文字层时返回空串
+ */
+async function readPdfSummaryText (pdfBuffer) {
+  let pdfDoc = null
+  try {
+    pdfDoc = await loadPdfjs().getDocument({ data: new Uint8Array(pdfBuffer), verbosity: 0 }).promise
+    const pages = []
+    for (let pageNumber = 1; pageNumber <= pdfDoc.numPages; pageNumber++) {
+      const page = await pdfDoc.getPage(pageNumber)
+      const { items } = await page.getTextContent()
+      pages.push(items.map((item) => `${item.str || ''}${item.hasEOL ? '\n' : ''}`).join(''))
+      page.cleanup()
+    }
+    return pages.join('\n')
+  } finally {
+    if (pdfDoc) await pdfDoc.destroy().catch(() => { })
+  }
+}
+
+async function readSummaryFile (file, source, config) {
+  if (source === 'docx') return extractSummaryDocument(file.fullPath, config)
+  const buffer = await fs.readFile(file.fullPath)
+  const text = source === 'pdf' ? await readPdfSummaryText(buffer) : decodeTextBuffer(buffer)
+  return parseMarkdownSummary(text, config)
+}
+
+/**
+ * 按 summarySources 的顺序取第一个有内容的 AI 总结：总结文件（assets.summaryCandidates）或员工表的总结列（emp.summary）。
+ * 返回 { source, file, text, blocks }；都没有内容时 source 为空串
+ */
+async function resolveSummary (emp, assets, config, warnings = []) {
+  const candidates = assets.summaryCandidates || (assets.summaryFile ? [assets.summaryFile] : [])
+  for (const source of getSummarySources(config)) {
+    if (source === 'column') {
+      if (hasColumnSummary(emp, config)) return { source, file: null, ...parseMarkdownSummary(emp.summary, config) }
+      continue
+    }
+    for (const file of candidates.filter((f) => getSummaryFileSource(f) === source)) {
+      try {
+        const summary = await readSummaryFile(file, source, config)
+        if (summary.text.trim()) return { source, file, ...summary }
+        warnings.push(`${file.fileName}：没有可读取的总结文字，已改用下一来源`)
+      } catch (e) {
+        warnings.push(`${file.fileName}：总结读取失败，已改用下一来源：${e.message}`)
+      }
+    }
+  }
+  return { source: '', file: null, text: '', blocks: [] }
+}
+
+/**
+ * 台账中的总结来源，如 "Markdown：张三-AI总结.md"、"员工表“总结”列"
+ */
+function describeSummarySource (summary, config) {
+  if (!summary.source) return ''
+  if (summary.source === 'column') return `员工表“${config.summaryColumn}”列`
+  return `${SUMMARY_SOURCE_TEXT[summary.source]}：${summary.file.fileName}`
+}
+
+// PDF conversions (reuse earlier logic)
+// 渲染参数参与缓存键，修改后旧缓存自然失效
+const PDF_RENDER_SETTINGS = { scale: 2, format: 'png', fallbackDensity: 144, fallbackWidth: 1200, fallbackHeight: 800 }
+
+function getPdfCacheKey (pdfBuffer) {
+  return crypto.createHash('sha256')
+    .update(pdfBuffer)
+    .update(JSON.stringify(PDF_RENDER_SETTINGS))
+    .digest('hex')
+}
+
+async function readPdfCache (cacheDir) {
+  const manifestPath = path.join(cacheDir, 'pages.json')
+  if (!(await fs.pathExists(manifestPath))) return null
+  try {
+    const manifest = await fs.readJson(manifestPath)
+    const pages = manifest.pages.map((p) => ({ ...p, fullPath: path.join(cacheDir, p.file) }))
+    for (const page of pages) {
+      if (!(await fs.pathExists(page.fullPath))) return null
+    }
+    return pages
+  } catch (e) {
+    return null
+  }
+}
+
+async function writePdfCache (cacheDir, renderer, renderedPages) {
+  await fs.ensureDir(cacheDir)
+  const pages = []
+  for (const [index, page] of renderedPages.entries()) {
+    const file = `page-${index + 1}.png`
+    await fs.writeFile(path.join(cacheDir, file), page.buffer)
+    pages.push({ file, width: page.width, height: page.height })
+  }
+  // 清单最后写入并原子改名：并发的工作线程不会读到写了一半的缓存
+  const manifestPath = path.join(cacheDir, 'pages.json')
+  const tempManifestPath = `${manifestPath}.${process.pid}.${crypto.randomUUID()}.tmp`
+  await fs.writeJson(tempManifestPath, { renderer, settings: PDF_RENDER_SETTINGS, pages })
+  await fs.move(tempManifestPath, manifestPath, { overwrite: true })
+  return pages.map((p) => ({ ...p, fullPath: path.join(cacheDir, p.file) }))
+}
+
+/**
+ * PDF 逐页转 PNG。结果按 PDF 内容哈希 + 渲染参数缓存到 output/_pdf_cache，
+ * 内容未变时直接复用；页面以文件路径返回，不在内存里保留 base64
+ */
+async function convertPdfAttachment (pdfAttachment, pdfCacheDir, warnings = []) {
+  try {
+    const pdfBuffer = await fs.readFile(pdfAttachment.fullPath)
+    const cacheDir = path.join(pdfCacheDir, getPdfCacheKey(pdfBuffer))
+    let pages = await readPdfCache(cacheDir)
+
+    if (!pages) {
+      let renderer = 'pdfjs'
+      let rendered = await convertWithPdfRenderer(pdfBuffer, pdfAttachment, warnings)
+      if (!rendered.length) {
+        renderer = 'pdf2pic'
+        rendered = await convertWithPdf2Pic(pdfBuffer, pdfAttachment, warnings)
+      }
+      if (!rendered.length) return []
+      pages = await writePdfCache(cacheDir, renderer, rendered)
+    }
+
+    return pages.map((page, index) => ({
+      label: `${pdfAttachment.label} 第${index + 1}页`,
+      fullPath: page.fullPath,
+      width: page.width,
+      height: page.height,
+      fromPdf: true,
+    }))
+  } catch (e) {
+    console.warn('pdf 转图失败：', e.message)
+    warnings.push(`${pdfAttachment.fileName}：pdf 转图失败：${e.message}`)
+    return []
+  }
+}
+
+async function convertWithPdfRenderer (pdfBuffer, attachment, warnings = []) {
+  let pdfDoc = null
+  try {
+    const { createCanvas } = loadCanvas()
+    pdfDoc = await loadPdfjs().getDocument({ data: new Uint8Array(pdfBuffer), verbosity: 0 }).promise
+    const pages = []
+    for (let pageNumber = 1; pageNumber <= pdfDoc.numPages; pageNumber++) {
+      const page = await pdfDoc.getPage(pageNumber)
+      const viewport = page.getViewport({ scale: PDF_RENDER_SETTINGS.scale })
+      const canvas = createCanvas(viewport.width, viewport.height)
+      const context = canvas.getContext('2d')
+      await page.render({ canvasContext: context, viewport }).promise
+      pages.push({ buffer: canvas.toBuffer('image/png'), width: canvas.width, height: canvas.height })
+      page.cleanup()
+    }
+    return pages
+  } catch (e) {
+    console.warn('pdf renderer 失败：', e.message)
+    warnings.push(`${attachment.fileName}：pdf renderer 失败：${e.message}`)
+    return []
+  } finally {
+    if (pdfDoc) await pdfDoc.destroy().catch(() => { })
+  }
+}
+
+async function convertWithPdf2Pic (pdfBuffer, attachment, warnings = []) {
+  try {
+    const convert = pdfFromBuffer(pdfBuffer, {
+      density: PDF_RENDER_SETTINGS.fallbackDensity,
+      format: PDF_RENDER_SETTINGS.format,
+      width: PDF_RENDER_SETTINGS.fallbackWidth,
+      height: PDF_RENDER_SETTINGS.fallbackHeight,
+    })
+    const pages = await convert.bulk(-1, { responseType: 'buffer' })
+    // gm 按比例缩放到 fallbackWidth × fallbackHeight 以内，竖版页面的实际尺寸与之不同
+    return pages.map((p) => ({ buffer: p.buffer, ...(readImageSize(p.buffer) || { width: 0, height: 0 }) }))
+  } catch (e) {
+    console.warn('pdf2pic 失败：', e.message)
+    warnings.push(`${attachment.fileName}：pdf2pic 失败：${e.message}`)
+    return []
+  }
+}
+
+// ---------- other attachment formats (WebP / TIFF / XLSX / DOCX) ----------
+const EXAM_DOCUMENT_FONT_SIZE_PT = 12
+const EXAM_TABLE_MAX_COLUMN_WEIGHT = 4
+
+function getAttachmentType (ext) {
+  if (IMAGE_EXTENSIONS.has(ext)) return 'image'
+  if (PDF_EXTENSIONS.has(ext)) return 'pdf'
+  if (RASTER_EXTENSIONS.has(ext)) return 'raster'
+  if (SPREADSHEET_EXTENSIONS.has(ext)) return 'sheet'
+  if (DOCUMENT_EXTENSIONS.has(ext)) return 'document'
+  return 'other'
+}
+
+/**
+ * RGBA 像素 -> PNG data URL，影像页按 image.data 注入
+ */
+function rgbaToPngDataUrl (rgba, width, height) {
+  const canvas = loadCanvas().createCanvas(width, height)
+  const context = canvas.getContext('2d')
+  const imageData = context.createImageData(width, height)
+  imageData.data.set(rgba)
+  context.putImageData(imageData, 0, 0)
+  return `data:image/png;base64,${canvas.toBuffer('image/png').toString('base64')}`
+}
+
+/**
+ * PowerPoint 不能直接嵌入的位图：WebP 转一张 PNG；TIFF 每页转一张 PNG，按扫描件处理
+ */
+async function convertRasterAttachment (attachment, warnings = []) {
+  try {
+    const buffer = await fs.readFile(attachment.fullPath)
+    if (attachment.ext === '.webp') {
+      const image = await webp.decode(buffer)
+      return [{ label: attachment.label, data: rgbaToPngDataUrl(image.data, image.width, image.height) }]
+    }
+
+    const pages = UTIF.decode(buffer).filter((ifd) => ifd.t256 && ifd.t257)
+    return pages.map((ifd, index) => {
+      UTIF.decodeImage(buffer, ifd)
+      return {
+        label: `${attachment.label} 第${index + 1}页`,
+        data: rgbaToPngDataUrl(UTIF.toRGBA8(ifd), ifd.width, ifd.height),
+        scanned: true,
+      }
+    })
+  } catch (e) {
+    console.warn(`图片转换失败：${attachment.fileName}：`, e.message)
+    warnings.push(`${attachment.fileName}：图片转换失败：${e.message}`)
+    return []
+  }
+}
+
+/**
+ * Excel 检查结果：每个非空 Sheet 一张表，首个非空行作表头，列宽按内容长度分配
+ */
+async function readExamWorkbook (attachment, config) {
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.readFile(attachment.fullPath)
+  const options = getPlaceholderOptions(config)
+  const textWidth = (text) => [...text].reduce((n, ch) => n + charWidthEm(ch), 0)
+
+  const tables = []
+  for (const sheet of workbook.worksheets) {
+    const rows = []
+    sheet.eachRow((row) => {
+      const cells = []
+      for (let col = 1; col <= sheet.columnCount; col++) cells.push(cellValueToText(row.getCell(col).value, '', options))
+      if (cells.some(Boolean)) rows.push(cells)
+    })
+    const columnCount = Math.max(0, ...rows.map((cells) => cells.reduce((n, text, i) => (text ? i + 1 : n), 0)))
+    if (rows.length < 2 || !columnCount) continue
+
+    const [header, ...body] = rows.map((cells) => cells.slice(0, columnCount))
+    const columns = header.map((text, i) => ({
+      header: text,
+      weight: Math.min(EXAM_TABLE_MAX_COLUMN_WEIGHT, Math.max(1, Math.max(...rows.map((cells) => textWidth(cells[i]))) / 6)),
+    }))
+    tables.push({ sheetName: sheet.name, columns, rows: body.map((cells) => cells.map((text) => ({ text }))) })
+  }
+  return tables
+}
+
+/**
+ * Word 检查报告：在影像页图片框的位置放一个文本框，沿用总结页的排版与分页（段落、列表、表格）
+ */
+function buildTemplateDocumentSlides (templateSlideXml, imageRelId, frame, page, replacements, slideSize) {
+  if (!frame || !page.blocks.length) return []
+  // 标题先保留为 {{影像标题}}，分页后再填入带页码的标题；正文不参与占位符替换
+  let slideXml = replaceSlidePlaceholders(templateSlideXml, { ...replacements, 影像标题: '{{影像标题}}' }, { bareKeys: LEGACY_BARE_KEYS })
+  slideXml = slideXml.replace(/<p:pic>[\s\S]*?<\/p:pic>/g, (picXml) => (picXml.includes(`r:embed="${imageRelId}"`) ? '' : picXml))
+  const textShapeXml = `<p:sp><p:nvSpPr><p:cNvPr id="${getMaxShapeId(slideXml) + 1}" name="${escapeXmlValue(page.title)}"/><p:cNvSpPr txBox="1"/><p:nvPr/></p:nvSpPr>` +
+    `<p:spPr><a:xfrm><a:off x="${frame.x}" y="${frame.y}"/><a:ext cx="${frame.cx}" cy="${frame.cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr>` +
+    '<p:txBody><a:bodyPr wrap="square" anchor="t"/><a:lstStyle/>' +
+    `<a:p><a:r><a:rPr lang="zh-CN" altLang="en-US" sz="${EXAM_DOCUMENT_FONT_SIZE_PT * 100}"/><a:t>{{总结}}</a:t></a:r></a:p></p:txBody></p:sp>`
+  slideXml = slideXml.replace('</p:spTree>', `${textShapeXml}</p:spTree>`)
+
+  const pages = paginateSummarySlide(slideXml, page.blocks, { layoutXml: null, slideSize, continuedMarker: null })
+  return pages.map((pageXml, index) => {
+    const title = pages.length > 1 ? `${page.title} (${index + 1}/${pages.length})` : page.title
+    return replaceSlidePlaceholders(pageXml, { 影像标题: title })
+  })
+}
+
+// ---------- lab values ----------
+/**
+ * 可识别的检验报告表头：某一行同时出现“项目”“结果”“参考区间”类表头时，
+ * 以这些表头的横坐标划分列，读取其下方各行
+ */
+const LAB_TABLE_HEADERS = {
+  item: ['项目名称', '检验项目', '项目'],
+  code: ['项目简称', '英文缩写', '代号', '缩写'],
+  result: ['结果', '检验结果', '测定结果', '测定值'],
+  unit: ['单位'],
+  range: ['参考区间', '参考范围', '参考值'],
+}
+const LAB_ROW_TOLERANCE = 3
+const LAB_FLAGS = { '↑': '↑', '↓': '↓', H: '↑', L: '↓', 高: '↑', 低: '↓' }
+const LAB_TABLE_COLUMNS = [
+  { key: 'item', header: '项目', weight: 3 },
+  { key: 'result', header: '结果', weight: 1.3 },
+  { key: 'unit', header: '单位', weight: 1.3 },
+  { key: 'range', header: '参考区间', weight: 1.6 },
+  { key: 'flag', header: '提示', weight: 0.8 },
+  { key: 'source', header: '来源', weight: 1.4 },
+]
+const LAB_TABLE_FONT_SIZE_PT = 11
+const LAB_ABNORMAL_COLORS = { '↑': 'C00000', '↓': '0070C0' }
+
+function groupTextItemsIntoRows (items) {
+  const rows = []
+  const sorted = items
+    .filter((item) => item.str && item.str.trim())
+    .map((item) => ({ text: item.str.trim(), x: item.transform[4], y: item.transform[5] }))
+    .sort((a, b) => b.y - a.y || a.x - b.x)
+  for (const item of sorted) {
+    const row = rows.find((r) => Math.abs(r.y - item.y) <= LAB_ROW_TOLERANCE)
+    if (row) row.items.push(item)
+    else rows.push({ y: item.y, items: [item] })
+  }
+  for (const row of rows) row.items.sort((a, b) => a.x - b.x)
+  return rows.sort((a, b) => b.y - a.y)
+}
+
+// 表头行中不认识的列（如“方法学”）也保留为列边界，其内容不读取
+function matchLabHeaderRow (row) {
+  const columns = []
+  for (const item of row.items) {
+    const text = item.text.replace(/\s+/g, '')
+    const key = Object.keys(LAB_TABLE_HEADERS).find((k) => LAB_TABLE_HEADERS[k].includes(text))
+    columns.push({ key: key && !columns.some((c) => c.key === key) ? key : null, x: item.x })
+  }
+  const keys = new Set(columns.map((c) => c.key))
+  return keys.has('item') && keys.has('result') && keys.has('range') ? columns : null
+}
+
+// "57-97"、"3.90-6.10"、"<1.70"、"＜5.18"、"≤21.0"、">=10" -> { min, max }
+function parseReferenceRange (range) {
+  const text = String(range || '').replace(/＜/g, '<').replace(/＞/g, '>').replace(/～/g, '~').replace(/\s+/g, '')
+  const between = text.match(/^(-?\d+(?:\.\d+)?)[-~—–](-?\d+(?:\.\d+)?)$/)
+  if (between) return { min: parseFloat(between[1]), max: parseFloat(between[2]) }
+  const upper = text.match(/^(?:<|≤|<=)(-?\d+(?:\.\d+)?)$/)
+  if (upper) return { min: null, max: parseFloat(upper[1]) }
+  const lower = text.match(/^(?:>|≥|>=)(-?\d+(?:\.\d+)?)$/)
+  if (lower) return { min: parseFloat(lower[1]), max: null }
+  return null
+}
+
+/**
+ * 判断结果是否超出参考区间：优先采用报告上的 ↑ / ↓，否则按数值与参考区间比较
+ */
+function getLabFlag (result, range, printedFlag) {
+  if (printedFlag) return printedFlag
+  if (!/^-?\d+(?:\.\d+)?$/.test(String(result).trim())) return ''
+  const value = parseFloat(result)
+  const bounds = parseReferenceRange(range)
+  if (!bounds) return ''
+  if (bounds.max !== null && value > bounds.max) return '↑'
+  if (bounds.min !== null && value < bounds.min) return '↓'
+  return ''
+}
+
+/**
+ * 一页 PDF 文字项 -> 指标行：项目、简称、结果、单位、参考区间、↑/↓。
+ * 先找到表头行确定各列的横坐标，其后每一行的文字按横坐标归入对应的列
+ */
+function parseLabPage (items, pageNumber, attachment) {
+  const values = []
+  let columns = null
+  for (const row of groupTextItemsIntoRows(items)) {
+    const header = matchLabHeaderRow(row)
+    if (header) {
+      columns = header
+      continue
+    }
+    if (!columns) continue
+
+    const cells = {}
+    let printedFlag = ''
+    for (const item of row.items) {
+      if (LAB_FLAGS[item.text]) {
+        printedFlag = LAB_FLAGS[item.text]
+        continue
+      }
+      const column = columns.filter((c) => c.x <= item.x + LAB_ROW_TOLERANCE).pop()
+      if (!column || !column.key) continue
+      cells[column.key] = cells[column.key] ? `${cells[column.key]} ${item.text}` : item.text
+    }
+    // 表格下方的“审核人员：”“报告时间：”等落款行不是指标
+    if (!cells.item || !cells.result || /[：:]/.test(cells.item)) continue
+
+    const arrow = cells.result.match(/\s*([↑↓])$/)
+    if (arrow) {
+      printedFlag = arrow[1]
+      cells.result = cells.result.slice(0, arrow.index)
+    }
+    const flag = getLabFlag(cells.result, cells.range, printedFlag)
+    values.push({
+      source: attachment.label,
+      page: pageNumber,
+      item: cells.item.replace(/^★/, ''),
+      code: cells.code || '',
+      result: cells.result,
+      unit: cells.unit || '',
+      range: cells.range || '',
+      flag,
+      abnormal: Boolean(flag),
+    })
+  }
+  return values
+}
+
+/**
+ * 从带文字层的检验报告 PDF 中逐页提取指标行，见 parseLabPage
+ */
+async function extractLabValues (pdfBuffer, attachment) {
+  let pdfDoc = null
+  try {
+    pdfDoc = await loadPdfjs().getDocument({ data: new Uint8Array(pdfBuffer), verbosity: 0 }).promise
+    const values = []
+    for (let pageNumber = 1; pageNumber <= pdfDoc.numPages; pageNumber++) {
+      const page = await pdfDoc.getPage(pageNumber)
+      const { items } = await page.getTextContent()
+      values.push(...parseLabPage(items, pageNumber, attachment))
+      page.cleanup()
+    }
+    return values
+  } finally {
+    if (pdfDoc) await pdfDoc.destroy().catch(() => { })
+  }
+}
+
+/**
+ * 收集员工所有 PDF 检查中的检验指标；没有文字层或不是可识别版式的 PDF 返回空
+ */
+async function collectLabValues (attachments, config, warnings = []) {
+  const values = []
+  for (const att of sortAttachments(attachments, config).filter((a) => a.type === 'pdf')) {
     try {
-      // collect assets (简单匹配同名文件)
-      const normalized = normalizeName(emp.name)
-      const matched = availableFiles.filter((f) => normalizeName(f) === normalized)
-
-      // summary docx?
-      const summaryFile = matched.find((f) => f.includes('总结') && path.extname(f).toLowerCase() === '.docx')
-      const summaryText = summaryFile ? await extractSummaryText(path.join(DATA_DIR, summaryFile)) : (emp.summary || '')
-
-      // attachments
-      const attachments = matched
-        .filter((f) => f !== summaryFile)
-        .map((f) => {
-          const ext = path.extname(f).toLowerCase()
-          const type = IMAGE_EXTENSIONS.has(ext) ? 'image' : PDF_EXTENSIONS.has(ext) ? 'pdf' : 'other'
-          return {
-            fileName: f,
-            fullPath: path.join(DATA_DIR, f),
-            label: buildAttachmentLabel(f),
-            type,
-            ext,
+      values.push(...await extractLabValues(await fs.readFile(att.fullPath), att))
+    } catch (e) {
+      warnings.push(`${att.fileName}：检验指标提取失败：${e.message}`)
+    }
+  }
+  return values
+}
+
+function toCsvValue (value) {
+  const text = String(value === undefined || value === null ? '' : value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * 导出员工的全部检验指标：output/检验指标/检验指标_姓名_工号.json 与 .csv（带 BOM，Excel 可直接打开）
+ */
+async function writeLabValues (labValuesDir, emp, values, { year, metrics } = {}) {
+  await fs.ensureDir(labValuesDir)
+  const baseName = `检验指标_${sanitizeFileName(emp.name) || 'unknown'}_${sanitizeFileName(emp.id)}`
+  const jsonPath = path.join(labValuesDir, `${baseName}.json`)
+  // metrics 为历年对比用的关键指标，明年把本目录复制到 history/<年份>/ 即可参与对比
+  await fs.writeJson(jsonPath, { name: emp.name, id: emp.id, year, metrics: metrics || {}, values }, { spaces: 2 })
+
+  const header = ['来源', '页码', '项目', '简称', '结果', '单位', '参考区间', '提示']
+  const lines = values.map((v) => [v.source, v.page, v.item, v.code, v.result, v.unit, v.range, v.flag].map(toCsvValue).join(','))
+  await fs.writeFile(path.join(labValuesDir, `${baseName}.csv`), '\uFEFF' + [header.join(','), ...lines].join('\r\n'))
+  return jsonPath
+}
+
+/**
+ * 基于影像页模板生成表格页：去掉图片，在图片框区域放一张原生表格；
+ * 一页放不下时按行分页，每页重复表头，标题加 "(1/2)"。
+ * table：{ title, columns: [{ header, weight }], rows: [[{ text, color }]] }，返回各页 slide XML
+ */
+function buildTemplateTableSlides (templateSlideXml, imageRelId, frame, table, replacements) {
+  if (!table.rows.length || !frame) return []
+  const totalWeight = table.columns.reduce((n, c) => n + c.weight, 0)
+  const columnWidths = table.columns.map((c) => Math.floor((frame.cx * c.weight) / totalWeight))
+  const fontSize = LAB_TABLE_FONT_SIZE_PT
+  const rowHeightFor = (cells) => {
+    const lines = Math.max(1, ...cells.map((cell, i) => wrapText(String(cell.text), columnWidths[i] - TABLE_CELL_MARGIN_EMU * 2, fontSize).length))
+    return Math.round(lines * fontSize * SINGLE_LINE_FACTOR * EMU_PER_POINT + TABLE_CELL_MARGIN_EMU * 2)
+  }
+
+  const headerCells = table.columns.map((c) => ({ text: c.header }))
+  const headerHeight = rowHeightFor(headerCells)
+  const pages = []
+  let current = null
+  for (const row of table.rows) {
+    const height = rowHeightFor(row)
+    if (!current || current.height + height > frame.cy) {
+      current = { rows: [headerCells], rowHeights: [headerHeight], height: headerHeight }
+      pages.push(current)
+    }
+    current.rows.push(row)
+    current.rowHeights.push(height)
+    current.height += height
+  }
+
+  const picPattern = /<p:pic>[\s\S]*?<\/p:pic>/g
+  return pages.map((page, index) => {
+    const title = pages.length > 1 ? `${table.title} (${index + 1}/${pages.length})` : table.title
+    let slideXml = replaceSlidePlaceholders(templateSlideXml, { ...replacements, 影像标题: title }, { bareKeys: LEGACY_BARE_KEYS })
+    slideXml = slideXml.replace(picPattern, (picXml) => (picXml.includes(`r:embed="${imageRelId}"`) ? '' : picXml))
+    const tableXml = buildTableGraphicFrameXml({
+      id: getMaxShapeId(slideXml) + 1,
+      name: table.title,
+      x: frame.x,
+      y: frame.y,
+      rows: page.rows,
+      columnWidths,
+      rowHeights: page.rowHeights,
+      fontSize,
+      headerRow: true,
+    })
+    return slideXml.replace('</p:spTree>', `${tableXml}</p:spTree>`)
+  })
+}
+
+/**
+ * 异常指标页：只列出超出参考区间的指标，结果与提示按 ↑ / ↓ 着色
+ */
+function buildAbnormalTable (abnormalValues) {
+  const rows = abnormalValues.map((value) => {
+    const color = LAB_ABNORMAL_COLORS[value.flag]
+    return LAB_TABLE_COLUMNS.map((c) => ({ text: value[c.key], color: c.key === 'result' || c.key === 'flag' ? color : undefined }))
+  })
+  return { title: '异常指标', columns: LAB_TABLE_COLUMNS, rows }
+}
+
+// ---------- year-over-year comparison ----------
+/**
+ * 历年对比的关键指标：columns 为员工表中的列名，codes / items 为检验报告中的简称 / 项目名
+ */
+const DEFAULT_COMPARISON_METRICS = [
+  { name: '体重', unit: 'kg', columns: ['体重', '体重(kg)'] },
+  { name: '体脂率', unit: '%', columns: ['体脂率', '体脂百分比', 'PBF'] },
+  { name: '收缩压', unit: 'mmHg', columns: ['收缩压'] },
+  { name: '舒张压', unit: 'mmHg', columns: ['舒张压'] },
+  { name: '空腹血糖', unit: 'mmol/L', codes: ['GLU'], items: ['空腹血糖', '葡萄糖'] },
+  { name: '总胆固醇', unit: 'mmol/L', codes: ['TCHOL', 'TC', 'CHOL'], items: ['总胆固醇', '血清总胆固醇'] },
+  { name: '甘油三酯', unit: 'mmol/L', codes: ['TRIG', 'TG'], items: ['甘油三酯', '血清甘油三酯'] },
+  { name: '低密度脂蛋白', unit: 'mmol/L', codes: ['LDL-CH', 'LDL-C', 'LDL'], items: ['低密度脂蛋白胆固醇', '血清低密度脂蛋白胆固醇'] },
+  { name: '高密度脂蛋白', unit: 'mmol/L', codes: ['HDL-CH', 'HDL-C', 'HDL'], items: ['高密度脂蛋白胆固醇', '血清高密度脂蛋白胆固醇'] },
+]
+const COMPARISON_COLUMN_WEIGHTS = { metric: 2.2, year: 1, trend: 1.2 }
+
+function getComparisonMetrics (config) {
+  return (config && config.comparisonMetrics) || DEFAULT_COMPARISON_METRICS
+}
+
+function getReportYear (config) {
+  return Number(config && config.reportYear) || new Date().getFullYear()
+}
+
+function parseMetricNumber (text) {
+  const match = String(text || '').match(/-?\d+(?:\.\d+)?/)
+  return match ? parseFloat(match[0]) : null
+}
+
+/**
+ * 从检验指标与员工表行中取出关键指标的数值：{ 指标名: 数值 }
+ */
+function extractMetrics (labValues, fields, metrics) {
+  const result = {}
+  const row = { ...(fields || {}) }
+  // 员工表只有“血压”一列（如 "120/80"）时拆成收缩压 / 舒张压
+  const pressure = String(row['血压'] || '').match(/(\d+)\s*\/\s*(\d+)/)
+  if (pressure) {
+    if (!row['收缩压']) row['收缩压'] = pressure[1]
+    if (!row['舒张压']) row['舒张压'] = pressure[2]
+  }
+
+  for (const metric of metrics) {
+    const column = (metric.columns || []).find((name) => parseMetricNumber(row[name]) !== null)
+    if (column) {
+      result[metric.name] = parseMetricNumber(row[column])
+      continue
+    }
+    const codes = (metric.codes || []).map((c) => c.toUpperCase())
+    const lab = (labValues || []).find((v) => codes.includes(String(v.code).toUpperCase()) || (metric.items || []).includes(v.item))
+    if (lab && parseMetricNumber(lab.result) !== null) result[metric.name] = parseMetricNumber(lab.result)
+  }
+  return result
+}
+
+/**
+ * 读取历史目录：history/<年份>/ 下往年导出的 检验指标_*.json 与往年的员工表 *.xlsx
+ * 返回 [{ year, records: [{ name, id, metrics }] }]，按年份升序
+ */
+async function loadHistory (config, rootDir) {
+  const historyDir = path.resolve(rootDir, config.historyDir || 'history')
+  const metrics = getComparisonMetrics(config)
+  const years = []
+  for (const yearName of (await safeReadDir(historyDir)).filter((n) => /^\d{4}$/.test(n)).sort()) {
+    const yearDir = path.join(historyDir, yearName)
+    const records = []
+    for (const fileName of (await safeReadDir(yearDir)).sort()) {
+      if (fileName.startsWith('~$') || fileName.startsWith('.')) continue
+      const fullPath = path.join(yearDir, fileName)
+      try {
+        if (/\.json$/i.test(fileName)) {
+          const data = await fs.readJson(fullPath)
+          if (!data || !data.name) continue
+          records.push({ name: data.name, id: data.id || '', metrics: data.metrics || extractMetrics(data.values, {}, metrics) })
+        } else if (/\.(xlsx|csv)$/i.test(fileName)) {
+          // 往年员工表与本年员工表同样识别表头别名
+          const [table] = await readRosterTables(fullPath, config)
+          for (const { fields } of table.rows.filter((r) => r.fields['姓名'])) {
+            records.push({ name: fields['姓名'], id: fields['工号'] || '', metrics: extractMetrics([], fields, metrics) })
           }
-        })
-
-      const assetInfo = { attachments, summaryText }
-
-      // build imageItems (图片或 pdf => image pages)
-      const imageItems = await buildImageItems(assetInfo, emp)
-
-      // create a fresh copy of template zip for this employee
-      const templateZip = new PizZip(templateBuffer)
-      const outputZip = new PizZip(templateBuffer) // start from template
-
-      // read core files
-      const presentationXml = outputZip.file('ppt/presentation.xml').asText()
-      const presentationRelsXml = outputZip.file('ppt/_rels/presentation.xml.rels').asText()
-      let contentTypesXml = outputZip.file('[Content_Types].xml').asText()
-
-      // determine counters
-      const slideFiles = outputZip.file(/^ppt\/slides\/slide\d+\.xml$/i) || []
-      const nextSlideNumber = getNextNumber(slideFiles, /slide(\d+)\.xml/i)
-      const existingSlideIds = [...presentationXml.matchAll(/<p:sldId[^>]*id="(\d+)"/g)].map(m => parseInt(m[1], 10))
-      const nextSlideId = (existingSlideIds.length ? Math.max(...existingSlideIds) : 256) + 1
-      const existingRelIds = [...presentationRelsXml.matchAll(/Id="rId(\d+)"/g)].map(m => parseInt(m[1], 10) || 0)
-      let nextRelId = existingRelIds.length ? Math.max(...existingRelIds) + 1 : 10
-
-      // media counter
-      let mediaCounter = getInitialMediaCounter(outputZip)
-
-      // --- 1) replace cover placeholders on slide1.xml ---
-      const slide1Path = 'ppt/slides/slide1.xml'
-      if (outputZip.file(slide1Path)) {
-        let slide1Xml = outputZip.file(slide1Path).asText()
-        const dateText = (new Date()).toISOString().slice(0, 10).replace(/-/g, '') // simple date
-        const replacements = {
-          姓名: emp.name || '',
-          性别: emp.gender || '',
-          年龄: emp.age || '',
-          日期: `${new Date().getFullYear()}年${String(new Date().getMonth() + 1).padStart(2, '0')}月${String(new Date().getDate()).padStart(2, '0')}日`,
-        }
-        slide1Xml = replaceTextInSlidePreferred(slide1Xml, replacements)
-        outputZip.file(slide1Path, slide1Xml)
-      }
-
-      // --- 2) inject summary into slide3.xml ---
-      const slide3Path = 'ppt/slides/slide3.xml'
-      if (outputZip.file(slide3Path) && (assetInfo.summaryText && assetInfo.summaryText.trim())) {
-        let slide3Xml = outputZip.file(slide3Path).asText()
-        slide3Xml = replaceTextInSlidePreferred(slide3Xml, { 总结: assetInfo.summaryText })
-        outputZip.file(slide3Path, slide3Xml)
-      }
-
-      // --- 3) handle slide4.xml ---
-      const slide4Path = 'ppt/slides/slide4.xml'
-      if (outputZip.file(slide4Path)) {
-        let slide4Xml = outputZip.file(slide4Path).asText()
-        // 添加slide4的替换逻辑，替换姓名、工号等信息
-        const replacements = {
-          姓名: emp.name || '',
-          工号: emp.id || '',
-          性别: emp.gender || '',
-          年龄: emp.age || '',
         }
-        slide4Xml = replaceTextInSlidePreferred(slide4Xml, replacements)
-        outputZip.file(slide4Path, slide4Xml)
-      }
-
-      // --- 3) find template slide2 and its rels & create copies per image item ---
-      const templateSlideNumber = 2
-      const templateSlidePath = `ppt/slides/slide${templateSlideNumber}.xml`
-      const templateSlideRelsPath = `ppt/slides/_rels/slide${templateSlideNumber}.xml.rels`
-      const templateSlideFile = templateZip.file(templateSlidePath)
-      const templateSlideRelsFile = templateZip.file(templateSlideRelsPath)
-
-      if (templateSlideFile && imageItems.length) {
-        const templateSlideXml = templateSlideFile.asText()
-        const templateSlideRelsXml = templateSlideRelsFile ? templateSlideRelsFile.asText() : null
-        // parse template slide rels to find image relationships
-        const templateRels = templateSlideRelsXml ? parseRelationships(templateSlideRelsXml) : []
-
-        // determine where to insert new slide ids in presentation.xml:
-        // find the existing <p:sldId> that references slides/slide1.xml and insert after it
-        const presMatch = outputZip.file('ppt/presentation.xml').asText()
-        let sldIdListMatch = presMatch.match(/<p:sldIdLst>([\s\S]*?)<\/p:sldIdLst>/)
-        let sldIdListInner = sldIdListMatch ? sldIdListMatch[1] : ''
-        const presRelsXml = outputZip.file('ppt/_rels/presentation.xml.rels').asText()
-        // find rId that points to slide1
-        const presRels = parseRelationships(presRelsXml)
-        let slide1Rid = null
-        let slide2Rid = null
-        for (const rel of presRels) {
-          if (rel.Target && rel.Target.replace(/^\/?/, '') === `slides/slide1.xml`) {
-            slide1Rid = rel.Id
-          } else if (rel.Target && rel.Target.replace(/^\/?/, '') === `slides/slide${templateSlideNumber}.xml`) {
-            slide2Rid = rel.Id
-          }
+      } catch (e) {
+        console.warn(`⚠️ 历史数据读取失败，已忽略：${path.relative(rootDir, fullPath)}：${e.message}`)
+      }
+    }
+    years.push({ year: Number(yearName), records })
+  }
+  return years
+}
+
+/**
+ * 员工的往年指标：{ 年份: { 指标名: 数值 } }；双方都有工号时按工号匹配，否则按姓名
+ */
+function findHistoryMetrics (history, emp) {
+  const person = emp.source || emp
+  const byYear = {}
+  for (const { year, records } of history || []) {
+    const metrics = {}
+    for (const record of records) {
+      const matches = person.id && record.id ? record.id === person.id : record.name === person.name
+      if (matches) Object.assign(metrics, record.metrics)
+    }
+    if (Object.keys(metrics).length) byYear[year] = metrics
+  }
+  return byYear
+}
+
+function formatMetricValue (value, decimals) {
+  return value === undefined || value === null ? '' : value.toFixed(decimals)
+}
+
+/**
+ * 历年对比表：至少两个年份有数值的指标才列出，最后一列为与上一次相比的变化
+ */
+function buildComparisonTable (metricsByYear, metrics) {
+  const years = Object.keys(metricsByYear).map(Number).sort((a, b) => a - b)
+  const rows = []
+  for (const metric of metrics) {
+    const series = years.map((year) => metricsByYear[year][metric.name]).map((v) => (v === undefined ? null : v))
+    const present = series.filter((v) => v !== null)
+    if (present.length < 2) continue
+
+    const decimals = Math.max(...present.map((v) => (String(v).split('.')[1] || '').length))
+    const [previous, latest] = present.slice(-2)
+    const delta = latest - previous
+    const trend = delta > 0 ? `↑ +${delta.toFixed(decimals)}` : delta < 0 ? `↓ ${delta.toFixed(decimals)}` : '→ 持平'
+    rows.push([
+      { text: metric.unit ? `${metric.name}（${metric.unit}）` : metric.name },
+      ...series.map((v) => ({ text: formatMetricValue(v, decimals) })),
+      { text: trend, color: delta > 0 ? LAB_ABNORMAL_COLORS['↑'] : delta < 0 ? LAB_ABNORMAL_COLORS['↓'] : undefined },
+    ])
+  }
+  const columns = [
+    { header: '指标', weight: COMPARISON_COLUMN_WEIGHTS.metric },
+    ...years.map((year) => ({ header: `${year}年`, weight: COMPARISON_COLUMN_WEIGHTS.year })),
+    { header: '较上次', weight: COMPARISON_COLUMN_WEIGHTS.trend },
+  ]
+  return { title: '历年对比', columns, rows }
+}
+
+// ---------- pre-flight validation (dry-run) ----------
+/**
+ * 只读取员工表并扫描 data/，不生成 PPT；输出对账报告（xlsx + json）
+ */
+async function runPreflight (options = {}) {
+  const paths = resolvePaths(options)
+  await fs.ensureDir(paths.outputDir)
+
+  console.log('预检：正在读取员工表...')
+  const config = await loadReportConfig(paths, options.config)
+  const sheetInfo = await readEmployeeSheet(config, paths, options.sheetName)
+  const { employees, missingColumns, rowIssues } = sheetInfo
+  console.log(`员工数量：${employees.length}`)
+  const selected = employees.length ? await filterEmployees(employees, options.filter, config) : employees
+
+  const dataFiles = await scanDataFiles(paths.dataDir)
+  const fileMatches = matchDataFiles(employees, dataFiles)
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    employeeSheet: path.relative(paths.rootDir, sheetInfo.filePath),
+    sheetName: sheetInfo.sheetName,
+    missingColumns,
+    rowIssues,
+    employees: [],
+    employeesWithoutData: [],
+    orphanFiles: fileMatches.orphans.map((f) => f.relPath),
+    duplicateMatches: [],
+    ambiguousMatches: fileMatches.ambiguous.map(({ file, candidates }) => ({
+      file: file.relPath,
+      candidates: candidates.map((c) => ({ name: c.name, id: c.id })),
+    })),
+    unsupportedFiles: [],
+  }
+
+  for (const emp of selected) {
+    const matched = fileMatches.byEmployee.get(emp) || []
+    const { summaryFile, summaryCandidates, attachments } = classifyEmployeeFiles(matched, config)
+    const supported = attachments.filter((a) => a.type !== 'other')
+    const columnSummary = hasColumnSummary(emp, config)
+
+    report.employees.push({
+      name: emp.name,
+      id: emp.id,
+      // 按 summarySources 预计使用的总结；文件内容为空时生成阶段会改用下一来源
+      summary: summaryFile ? summaryFile.relPath : columnSummary ? `员工表“${config.summaryColumn}”列` : null,
+      attachments: attachments.map((a) => ({ file: a.relPath, label: a.label, type: a.type, matchedBy: a.matchedBy })),
+    })
+
+    if (!supported.length && !summaryFile && !columnSummary) {
+      report.employeesWithoutData.push({ name: emp.name, id: emp.id })
+    }
+
+    for (const att of attachments.filter((a) => a.type === 'other')) {
+      report.unsupportedFiles.push({ file: att.relPath, name: emp.name, id: emp.id })
+    }
+
+    // 不同格式的总结按优先顺序取用，同一格式有多份时才算重复
+    for (const source of getSummarySources(config)) {
+      const group = summaryCandidates.filter((f) => getSummaryFileSource(f) === source)
+      if (group.length > 1) {
+        report.duplicateMatches.push({ name: emp.name, id: emp.id, label: `总结（${SUMMARY_SOURCE_TEXT[source]}）`, files: group.map((f) => f.relPath) })
+      }
+    }
+    const byLabel = new Map()
+    for (const att of attachments) {
+      const key = att.label.toLowerCase()
+      if (!byLabel.has(key)) byLabel.set(key, [])
+      byLabel.get(key).push(att)
+    }
+    for (const group of byLabel.values()) {
+      if (group.length > 1) {
+        report.duplicateMatches.push({ name: emp.name, id: emp.id, label: group[0].label, files: group.map((f) => f.relPath) })
+      }
+    }
+  }
+
+  for (const f of fileMatches.orphans) {
+    const ext = path.extname(f.fileName).toLowerCase()
+    if (getAttachmentType(ext) === 'other') {
+      report.unsupportedFiles.push({ file: f.relPath, name: '', id: '' })
+    }
+  }
+
+  const stamp = formatTimestamp(new Date())
+  const jsonPath = path.join(paths.outputDir, `预检报告_${stamp}.json`)
+  const xlsxPath = path.join(paths.outputDir, `预检报告_${stamp}.xlsx`)
+  await fs.writeJson(jsonPath, report, { spaces: 2 })
+  await writePreflightWorkbook(report, xlsxPath)
+
+  console.log(`缺失列：${missingColumns.length ? missingColumns.map((c) => c.column).join(', ') : '无'}`)
+  console.log(`员工表问题行：${rowIssues.length}`)
+  console.log(`无资料员工：${report.employeesWithoutData.length}`)
+  console.log(`未匹配文件：${report.orphanFiles.length}`)
+  console.log(`重复 / 歧义匹配：${report.duplicateMatches.length + report.ambiguousMatches.length}`)
+  console.log(`不支持的文件：${report.unsupportedFiles.length}`)
+  console.log(`✓ 预检报告：${xlsxPath}`)
+  return report
+}
+
+async function writePreflightWorkbook (report, xlsxPath) {
+  const workbook = new ExcelJS.Workbook()
+
+  function addSheet (name, columns, rows) {
+    const sheet = workbook.addWorksheet(name)
+    sheet.columns = columns.map(([header, key, width]) => ({ header, key, width }))
+    sheet.getRow(1).font = { bold: true }
+    rows.forEach((row) => sheet.addRow(row))
+  }
+
+  addSheet('员工附件', [['姓名', 'name', 12], ['工号', 'id', 12], ['AI 总结', 'summary', 36], ['附件数', 'count', 8], ['附件', 'files', 80]],
+    report.employees.map((e) => ({
+      name: e.name,
+      id: e.id,
+      summary: e.summary || '',
+      count: e.attachments.length,
+      files: e.attachments.map((a) => `${a.label}(${a.file})`).join('\n'),
+    })))
+  addSheet('无资料员工', [['姓名', 'name', 12], ['工号', 'id', 12]], report.employeesWithoutData)
+  addSheet('未匹配文件', [['文件', 'file', 60]], report.orphanFiles.map((file) => ({ file })))
+  addSheet('重复或歧义', [['类型', 'kind', 10], ['姓名', 'name', 16], ['工号', 'id', 16], ['标签', 'label', 16], ['文件', 'files', 80]], [
+    ...report.duplicateMatches.map((d) => ({ kind: '重复', name: d.name, id: d.id, label: d.label, files: d.files.join('\n') })),
+    ...report.ambiguousMatches.map((d) => ({
+      kind: '歧义',
+      name: d.candidates.map((c) => c.name).join('、'),
+      id: d.candidates.map((c) => c.id).join('、'),
+      label: '',
+      files: d.file,
+    })),
+  ])
+  addSheet('不支持的文件', [['文件', 'file', 60], ['姓名', 'name', 12], ['工号', 'id', 12]], report.unsupportedFiles)
+  addSheet('缺失列', [['列名', 'column', 16], ['必需', 'required', 8]],
+    report.missingColumns.map((c) => ({ column: c.column, required: c.required ? '是' : '否' })))
+  addSheet('员工表问题行', [['Sheet', 'sheet', 16], ['行号', 'row', 8], ['姓名', 'name', 12], ['工号', 'id', 12], ['问题', 'issue', 48]], report.rowIssues)
+
+  await workbook.xlsx.writeFile(xlsxPath)
+}
+
+function formatTimestamp (date) {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}_${pad(date.getHours())}${pad(date.getMinutes())}`
+}
+
+// ---------- privacy: watermark & anonymized export ----------
+const WATERMARK_COLOR = '808080'
+const WATERMARK_ROTATION = 19800000 // 330°，单位为 1/60000 度
+
+/**
+ * 影像页水印：覆盖图片框的旋转文本框，文字按框宽自动取字号，半透明灰色
+ */
+function buildWatermarkShapeXml (id, frame, text, opacity) {
+  const emWidth = [...text].reduce((n, ch) => n + charWidthEm(ch), 0) || 1
+  const fontSize = Math.max(12, Math.min(48, Math.floor((frame.cx * 0.8) / EMU_PER_POINT / emWidth)))
+  const alpha = Math.round(Math.max(0, Math.min(1, opacity)) * 100000)
+  return `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="水印"/><p:cNvSpPr txBox="1"><a:spLocks noGrp="1"/></p:cNvSpPr><p:nvPr userDrawn="1"/></p:nvSpPr>` +
+    `<p:spPr><a:xfrm rot="${WATERMARK_ROTATION}"><a:off x="${frame.x}" y="${frame.y}"/><a:ext cx="${frame.cx}" cy="${frame.cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr>` +
+    '<p:txBody><a:bodyPr wrap="none" lIns="0" tIns="0" rIns="0" bIns="0" anchor="ctr"/><a:lstStyle/>' +
+    `<a:p><a:pPr algn="ctr"/><a:r><a:rPr lang="zh-CN" sz="${fontSize * 100}" b="1"><a:solidFill><a:srgbClr val="${WATERMARK_COLOR}"><a:alpha val="${alpha}"/></a:srgbClr></a:solidFill></a:rPr>` +
+    `<a:t>${escapeXmlValue(text)}</a:t></a:r></a:p></p:txBody></p:sp>`
+}
+
+function addWatermark (slideXml, frame, text, opacity) {
+  if (!frame || !text) return slideXml
+  return slideXml.replace('</p:spTree>', `${buildWatermarkShapeXml(getMaxShapeId(slideXml) + 1, frame, text, opacity)}</p:spTree>`)
+}
+
+function pseudonymize (salt, kind, value) {
+  return crypto.createHmac('sha256', salt).update(`${kind}:${value}`).digest('hex').slice(0, 8).toUpperCase()
+}
+
+/**
+ * 匿名模式下保留的员工表列：anonymizeKeepColumns 与历年对比读取的指标列
+ */
+function getAnonymizeKeepColumns (config) {
+  const metricColumns = getComparisonMetrics(config).flatMap((metric) => metric.columns || [])
+  return new Set([...(config.anonymizeKeepColumns || []), ...metricColumns, '血压'])
+}
+
+/**
+ * 匿名员工：姓名、工号、年龄换成加盐哈希生成的代号，同一员工每次运行得到相同代号；
+ * 员工表的其余列除 keepColumns 外一律清空，{{列名}} 占位符不会带出真实信息
+ */
+function anonymizeEmployee (emp, salt, keepColumns = new Set()) {
+  const key = getEmployeeKey(emp)
+  const name = `员工${pseudonymize(salt, 'name', key)}`
+  const id = emp.id ? `ID${pseudonymize(salt, 'id', emp.id)}` : ''
+  const age = emp.age !== '' ? `A${pseudonymize(salt, 'age', `${key}:${emp.age}`).slice(0, 4)}` : ''
+  const fields = {}
+  for (const [column, value] of Object.entries(emp.fields || {})) fields[column] = keepColumns.has(column) ? value : ''
+  fields['姓名'] = name
+  if ('工号' in fields) fields['工号'] = id
+  if ('年龄' in fields) fields['年龄'] = age
+  // source 仅用于匹配 history/ 中按真实姓名、工号保存的往年数据，不写入报告
+  return { ...emp, name, id, age, fields, source: { name: emp.name, id: emp.id } }
+}
+
+/**
+ * 文字中出现的真实姓名、工号替换为代号
+ */
+function scrubIdentity (text, emp, anonymous) {
+  let result = emp.name ? String(text).split(emp.name).join(anonymous.name) : String(text)
+  if (emp.id) result = result.replace(new RegExp(`(?<![0-9A-Za-z])${escapeRegex(emp.id)}(?![0-9A-Za-z])`, 'g'), anonymous.id)
+  return result
+}
+
+/**
+ * 台账告警中的文件名含真实姓名、工号，匿名模式下一并替换为代号
+ */
+function scrubWarnings (warnings, emp, anonymous) {
+  return warnings.map((warning) => scrubIdentity(warning, emp, anonymous))
+}
+
+/**
+ * 匿名员工（带 source）的总结、Word / Excel 检查内容中出现的真实姓名、工号替换为代号；
+ * 被拆进多个 run 的姓名与图片中的文字不做处理
+ */
+function scrubBlocks (blocks, emp) {
+  if (!emp.source) return blocks
+  const scrub = (text) => scrubIdentity(text, emp.source, emp)
+  return blocks.map((block) => block.type === 'table'
+    ? { ...block, rows: block.rows.map((row) => row.map((cell) => ({ ...cell, text: scrub(cell.text) }))) }
+    : { ...block, runs: block.runs.map((run) => ({ ...run, text: scrub(run.text) })) })
+}
+
+function scrubImageItem (item, emp) {
+  if (!emp.source) return item
+  const scrub = (text) => scrubIdentity(text, emp.source, emp)
+  if (item.blocks) return { ...item, blocks: scrubBlocks(item.blocks, emp) }
+  if (item.table) {
+    const table = item.table
+    return {
+      ...item,
+      table: { ...table, columns: table.columns.map((c) => ({ ...c, header: scrub(c.header) })), rows: table.rows.map((row) => row.map((cell) => ({ ...cell, text: scrub(cell.text) }))) },
+    }
+  }
+  return item
+}
+
+/**
+ * 读取或创建匿名映射：盐优先取 anonymizeSalt，其次沿用映射文件中的盐，都没有时随机生成
+ */
+async function loadAnonymizeMap (config, file) {
+  const existing = (await fs.pathExists(file)) ? await fs.readJson(file) : {}
+  const salt = config.anonymizeSalt || existing.salt || crypto.randomBytes(16).toString('hex')
+  const employees = existing.salt === salt ? existing.employees || {} : {}
+  return { file, salt, employees }
+}
+
+/**
+ * 对照表只保存在本地（默认为 rootDir 下的 匿名映射.json，位于 output/ 之外），不随匿名报告外发。
+ * 两名员工得到相同代号时，对照表条目与输出文件名会互相覆盖，因此直接报错
+ */
+async function writeAnonymizeMap (map, pairs) {
+  const owners = new Map()
+  for (const { emp, anonymous } of pairs) {
+    const key = getEmployeeKey(emp)
+    const previous = map.employees[anonymous.name]
+    const claims = [[anonymous.name, key], [anonymous.id, key]]
+    if (previous) claims.push([anonymous.name, getEmployeeKey({ id: previous.工号, name: previous.姓名 })])
+    for (const [code, owner] of claims) {
+      if (!code) continue
+      if (owners.has(code) && owners.get(code) !== owner) {
+        throw new Error(`匿名代号冲突：${code} 同时对应 ${owners.get(code)} 与 ${owner}，请在配置中更换 anonymizeSalt 并删除 ${path.basename(map.file)} 后重试`)
+      }
+      owners.set(code, owner)
+    }
+  }
+  for (const { emp, anonymous } of pairs) {
+    map.employees[anonymous.name] = { 姓名: emp.name, 工号: emp.id, 年龄: emp.age, 代号工号: anonymous.id, 代号年龄: anonymous.age }
+  }
+  const { file, salt, employees } = map
+  await fs.writeJson(file, { salt, updatedAt: new Date().toISOString(), employees }, { spaces: 2 })
+}
+
+// ---------- PDF output ----------
+const PDF_MARGIN_PT = 36
+const PDF_TITLE_SIZE_PT = 16
+const PDF_BODY_SIZE_PT = 11
+const PDF_TABLE_SIZE_PT = 9
+const PDF_CELL_PADDING_PT = 3
+const LIBREOFFICE_TIMEOUT_MS = 180000
+// PATH 中找不到 soffice 时依次查找的默认安装位置
+const LIBREOFFICE_CANDIDATES = [
+  'C:\\Program Files\\LibreOffice\\program\\soffice.exe',
+  'C:\\Program Files (x86)\\LibreOffice\\program\\soffice.exe',
+  '/Applications/LibreOffice.app/Contents/MacOS/soffice',
+]
+// 内置排版使用的中文字体：[文件, 字体集合（.ttc）中的 PostScript 名]
+const PDF_FONT_CANDIDATES = [
+  ['C:\\Windows\\Fonts\\msyh.ttc', 'MicrosoftYaHei'],
+  ['C:\\Windows\\Fonts\\simhei.ttf'],
+  ['C:\\Windows\\Fonts\\simsun.ttc', 'SimSun'],
+  ['/System/Library/Fonts/PingFang.ttc', 'PingFangSC-Regular'],
+  ['/System/Library/Fonts/STHeiti Light.ttc', 'STHeitiSC-Light'],
+  ['/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc', 'NotoSansCJKsc-Regular'],
+  ['/usr/share/fonts/noto-cjk/NotoSansCJK-Regular.ttc', 'NotoSansCJKsc-Regular'],
+  ['/usr/share/fonts/truetype/wqy/wqy-microhei.ttc', 'WenQuanYiMicroHei'],
+]
+
+const SUMMARY_SECTION_TITLE = 'AI 总结'
+
+function buildReportPdfFileName (emp) {
+  return `员工体检报告_${sanitizeFileName(emp.name) || 'unknown'}_${sanitizeFileName(emp.id)}.pdf`
+}
+
+// 每个线程只探测一次
+let pdfEnginePromise = null
+function resolvePdfEngine (config) {
+  if (!pdfEnginePromise) pdfEnginePromise = detectPdfEngine(config)
+  return pdfEnginePromise
+}
+
+/**
+ * pdfEngine："auto" 优先使用本机的 LibreOffice，找不到时用内置排版；"libreoffice" / "builtin" 强制指定
+ */
+async function detectPdfEngine (config) {
+  if (config.pdfEngine === 'builtin') return { engine: 'builtin' }
+  const binary = await findLibreOffice(config)
+  if (binary) return { engine: 'libreoffice', binary }
+  if (config.pdfEngine === 'libreoffice') {
+    throw new Error(config.libreOfficePath ? `LibreOffice 不存在：${config.libreOfficePath}` : '未找到 LibreOffice，请安装或在配置中设置 libreOfficePath')
+  }
+  return { engine: 'builtin' }
+}
+
+async function findLibreOffice (config) {
+  if (config.libreOfficePath) return (await fs.pathExists(config.libreOfficePath)) ? config.libreOfficePath : null
+  const names = process.platform === 'win32' ? ['soffice.exe', 'soffice.com'] : ['soffice', 'libreoffice']
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean)
+  for (const candidate of [...dirs.flatMap((dir) => names.map((name) => path.join(dir, name))), ...LIBREOFFICE_CANDIDATES]) {
+    if (await fs.pathExists(candidate)) return candidate
+  }
+  return null
+}
+
+/**
+ * 用 headless LibreOffice 把成品 PPTX 转成 PDF。每次转换使用独立的用户配置目录，
+ * 并行的工作线程之间不会争用同一个 LibreOffice 实例
+ */
+async function convertWithLibreOffice (binary, pptxPath, pdfPath) {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-pdf-'))
+  try {
+    const profileUrl = pathToFileURL(path.join(workDir, 'profile')).href
+    await new Promise((resolve, reject) => {
+      execFile(binary, ['--headless', '--norestore', `-env:UserInstallation=${profileUrl}`, '--convert-to', 'pdf', '--outdir', workDir, pptxPath],
+        { timeout: LIBREOFFICE_TIMEOUT_MS, windowsHide: true },
+        (err, stdout, stderr) => (err ? reject(new Error(`LibreOffice 转换失败：${String(stderr || err.message).trim()}`)) : resolve()))
+    })
+    const converted = path.join(workDir, `${path.basename(pptxPath, path.extname(pptxPath))}.pdf`)
+    if (!(await fs.pathExists(converted))) throw new Error('LibreOffice 没有输出 PDF')
+    await fs.move(converted, pdfPath, { overwrite: true })
+  } finally {
+    await fs.remove(workDir)
+  }
+}
+
+async function resolvePdfFont (config) {
+  const configured = config.pdfFont
+    ? [typeof config.pdfFont === 'string' ? [config.pdfFont] : [config.pdfFont.path, config.pdfFont.family]]
+    : []
+  for (const [fontPath, family] of [...configured, ...PDF_FONT_CANDIDATES]) {
+    if (fontPath && await fs.pathExists(fontPath)) return { path: fontPath, family }
+  }
+  throw new Error(config.pdfFont ? `PDF 字体不存在：${configured[0][0]}` : '未找到中文字体，请在配置中设置 pdfFont')
+}
+
+/**
+ * 把报告内容整理成 PDF 的章节：异常指标、历年对比、各检查类别（与影像页同序）、AI 总结
+ */
+function buildPdfSections ({ abnormalTable, comparisonTable, imageItems, summaryBlocks }) {
+  const sections = []
+  if (abnormalTable.rows.length) sections.push({ title: abnormalTable.title, table: abnormalTable })
+  if (comparisonTable.rows.length) sections.push({ title: comparisonTable.title, table: comparisonTable })
+  for (const item of imageItems) {
+    const last = sections[sections.length - 1]
+    if (last && last.items && last.title === item.category) last.items.push(item)
+    else sections.push({ title: item.category, items: [item] })
+  }
+  if (summaryBlocks.length) sections.push({ title: SUMMARY_SECTION_TITLE, blocks: summaryBlocks })
+  return sections
+}
+
+/**
+ * 内置排版：不依赖 LibreOffice，用报告的影像条目与总结直接排出 PDF。
+ * 页面尺寸取自模板 presentation.xml；每个章节一个书签，每张图片单独一页
+ */
+async function composeReportPdf (content, config, warnings) {
+  const font = await resolvePdfFont(config)
+  const pageWidth = content.slideSize.cx / EMU_PER_POINT
+  const pageHeight = content.slideSize.cy / EMU_PER_POINT
+  const doc = new PDFDocument({
+    size: [pageWidth, pageHeight],
+    margin: PDF_MARGIN_PT,
+    autoFirstPage: false,
+    info: { Title: `员工体检报告 ${content.replacements.姓名 || ''}`.trim() },
+  })
+  doc.registerFont('report', font.path, font.family)
+  const chunks = []
+  doc.on('data', (chunk) => chunks.push(chunk))
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', resolve)
+    doc.on('error', reject)
+  })
+  const contentWidth = pageWidth - PDF_MARGIN_PT * 2
+  const bottom = pageHeight - PDF_MARGIN_PT
+
+  const addTitledPage = (title) => {
+    doc.addPage()
+    doc.font('report').fontSize(PDF_TITLE_SIZE_PT).fillColor('black').text(title, { width: contentWidth })
+    doc.moveDown(0.5)
+  }
+
+  // 封面
+  doc.addPage()
+  doc.font('report').fontSize(PDF_TITLE_SIZE_PT * 1.75).text('员工体检报告', PDF_MARGIN_PT, pageHeight / 3, { width: contentWidth, align: 'center' })
+  doc.moveDown()
+  doc.fontSize(PDF_TITLE_SIZE_PT)
+  for (const key of ['姓名', '工号', '性别', '年龄', '日期']) {
+    if (content.replacements[key]) doc.text(`${key}：${content.replacements[key]}`, { width: contentWidth, align: 'center' })
+  }
+
+  for (const section of content.sections) {
+    addTitledPage(section.title)
+    doc.outline.addItem(section.title)
+    if (section.table) drawPdfTable(doc, section.table, contentWidth, bottom)
+    if (section.blocks) drawPdfBlocks(doc, section.blocks, contentWidth)
+    for (const [index, item] of (section.items || []).entries()) {
+      if (index > 0) addTitledPage(item.label)
+      else if (item.label !== section.title) doc.fontSize(PDF_BODY_SIZE_PT).text(item.label, { width: contentWidth }).moveDown(0.5)
+      if (item.table) drawPdfTable(doc, item.table, contentWidth, bottom)
+      else if (item.blocks) drawPdfBlocks(doc, item.blocks, contentWidth)
+      else await drawPdfImage(doc, item, { x: PDF_MARGIN_PT, y: doc.y, width: contentWidth, height: bottom - doc.y }, config, warnings)
+    }
+  }
+
+  doc.end()
+  await finished
+  return Buffer.concat(chunks)
+}
+
+async function drawPdfImage (doc, item, box, config, warnings) {
+  let buffer
+  let ext
+  if (item.data) {
+    ext = `.${(item.data.match(/^data:image\/(\w+);base64,/) || [])[1] || 'png'}`
+    buffer = Buffer.from(item.data.replace(/^data:image\/\w+;base64,/, ''), 'base64')
+  } else {
+    ext = path.extname(item.fullPath).toLowerCase()
+    buffer = await fs.readFile(item.fullPath)
+  }
+  // 与 PPT 相同的预处理：EXIF 旋转、按显示尺寸限制分辨率、扫描件转 JPEG；失败时沿用原图（生成 PPT 时已记过告警）
+  const frame = { x: 0, y: 0, cx: Math.round(box.width * EMU_PER_POINT), cy: Math.round(box.height * EMU_PER_POINT) }
+  const normalized = await normalizeImage(buffer, ext, frame, getImageOptions(config), item).catch(() => ({ buffer, ext }))
+  try {
+    if (!['.png', '.jpg', '.jpeg'].includes(normalized.ext)) throw new Error(`不支持 ${normalized.ext} 图片`)
+    doc.image(normalized.buffer, box.x, box.y, { fit: [box.width, box.height], align: 'center', valign: 'center' })
+  } catch (e) {
+    warnings.push(`${item.label}：未能写入 PDF：${e.message}`)
+  }
+}
+
+/**
+ * 按列权重分配列宽；行高取该行最高的单元格，跨页时重复表头
+ */
+function drawPdfTable (doc, table, width, bottom) {
+  const totalWeight = table.columns.reduce((sum, c) => sum + (c.weight || 1), 0)
+  const widths = table.columns.map((c) => (width * (c.weight || 1)) / totalWeight)
+  const left = doc.page.margins.left
+  doc.fontSize(PDF_TABLE_SIZE_PT)
+
+  const drawRow = (cells, header) => {
+    const height = Math.max(...cells.map((cell, i) =>
+      doc.heightOfString(cell.text || ' ', { width: widths[i] - PDF_CELL_PADDING_PT * 2 }))) + PDF_CELL_PADDING_PT * 2
+    if (doc.y + height > bottom) {
+      doc.addPage()
+      if (!header) drawRow(headerCells, true)
+    }
+    const top = doc.y
+    let x = left
+    cells.forEach((cell, i) => {
+      if (header) doc.rect(x, top, widths[i], height).fill('#F2F2F2')
+      doc.rect(x, top, widths[i], height).lineWidth(0.5).stroke('#BFBFBF')
+      doc.fillColor(cell.color ? `#${cell.color}` : 'black')
+        .text(cell.text || '', x + PDF_CELL_PADDING_PT, top + PDF_CELL_PADDING_PT, { width: widths[i] - PDF_CELL_PADDING_PT * 2 })
+      x += widths[i]
+    })
+    doc.x = left
+    doc.y = top + height
+  }
+
+  const headerCells = table.columns.map((c) => ({ text: c.header }))
+  drawRow(headerCells, true)
+  for (const row of table.rows) drawRow(row, false)
+  doc.fillColor('black').moveDown()
+}
+
+function drawPdfBlocks (doc, blocks, width) {
+  const left = doc.page.margins.left
+  for (const block of blocks) {
+    if (block.type === 'table') {
+      const [header = [], ...rows] = block.rows
+      drawPdfTable(doc, { columns: header.map((cell) => ({ header: cell.text })), rows }, width, doc.page.height - doc.page.margins.bottom)
+      continue
+    }
+    const text = getBlockText(block)
+    if (!text.trim()) {
+      doc.moveDown(0.5)
+      continue
+    }
+    const indent = block.list ? (block.list.level + 1) * 14 : 0
+    const marker = block.list ? (block.list.ordered ? `${block.list.number}. ` : '• ') : ''
+    doc.fontSize(block.heading ? PDF_BODY_SIZE_PT + 2 : PDF_BODY_SIZE_PT).fillColor('black')
+    if (block.heading) doc.moveDown(0.3)
+    doc.text(marker + text, left + indent, doc.y, { width: width - indent, lineGap: 2 })
+  }
+}
+
+/**
+ * 生成与 PPTX 同名（不含时间戳）的 PDF；失败只记为告警，不影响 PPTX
+ */
+async function writeReportPdf (emp, result, pptxPath, config, warnings) {
+  const pdfPath = path.join(path.dirname(pptxPath), buildReportPdfFileName(emp))
+  try {
+    const { engine, binary } = await resolvePdfEngine(config)
+    if (engine === 'libreoffice') {
+      await convertWithLibreOffice(binary, pptxPath, pdfPath)
+    } else {
+      await fs.writeFile(pdfPath, await composeReportPdf(result.pdf, config, warnings))
+    }
+    return pdfPath
+  } catch (e) {
+    warnings.push(`PDF 生成失败：${e.message}`)
+    console.warn(`⚠️ ${emp.name}：PDF 生成失败：${e.message}`)
+    return ''
+  }
+}
+
+// ---------- core: build a report per employee using template as base ----------
+/**
+ * 为单个员工拼装报告 PPT，不写任何文件。
+ * assets 来自 collectAssets，template 来自 loadTemplate；options.warnings 收集告警。
+ * 返回 { status: 'generated' | 'skipped', reason, buffer, slideCount, warnings, stats, labValues, metrics, year, summarySource, degraded }；
+ * degraded 表示有 PDF / 位图附件没有转出任何页面，成品缺少这些附件
+ * 配置 pdfOutput 时另有 pdf（内置排版 PDF 所需的页面尺寸、占位符与章节）
+ */
+async function buildReportBuffer (emp, assets, template, options = {}) {
+  const { config, templateBuffer, slideRoles, placeholderOptions, paths } = template
+  const imageOptions = getImageOptions(config)
+  const warnings = options.warnings || []
+  const result = { status: 'skipped', reason: '', buffer: null, slideCount: 0, warnings, stats: null, labValues: [], metrics: {}, year: getReportYear(config), summarySource: '', degraded: false }
+
+  const summary = await resolveSummary(emp, assets, config, warnings)
+  if (emp.source) {
+    summary.blocks = scrubBlocks(summary.blocks, emp)
+    summary.text = summary.blocks.map(getBlockText).join('\n')
+  }
+  result.summarySource = describeSummarySource(summary, config)
+  const summaryText = summary.text
+  // 没有取到任何总结时，没有文字层的总结 PDF（扫描件）仍按影像页插入
+  const scannedSummaries = summary.source ? [] : (assets.summaryCandidates || []).filter((f) => getSummaryFileSource(f) === 'pdf')
+  const attachments = [...assets.attachments, ...scannedSummaries.map(toAttachment)]
+  const supported = attachments.filter((a) => a.type !== 'other')
+  for (const att of attachments.filter((a) => a.type === 'other')) {
+    warnings.push(`${att.fileName}：不支持的文件类型（${att.ext || '无扩展名'}），已忽略`)
+    console.warn(`⚠️ ${emp.name}：${att.fileName} 为不支持的文件类型，已忽略`)
+  }
+
+  if (!supported.length && !summaryText.trim()) {
+    result.reason = (assets.files || []).length ? '无可用检查文件且无 AI 总结' : '无检查文件且无 AI 总结'
+    return result
+  }
+
+  const assetInfo = { attachments, summaryText, summaryBlocks: summary.blocks }
+
+  // build imageItems (图片或 pdf => image pages)
+  // PDF / 位图一页都没转出来时成品缺内容，多与本机环境有关；其余告警（预处理失败沿用原图等）不影响内容
+  const failedAttachments = []
+  const imageItems = (await buildImageItems(assetInfo, emp, { config, pdfCacheDir: paths.pdfCacheDir, warnings, failed: failedAttachments })).map((item) => scrubImageItem(item, emp))
+
+  // 检验报告 PDF 的文字层 -> 指标表；超出参考区间的指标单独成页放在影像之前
+  const labValues = config.labValues ? await collectLabValues(attachments, config, warnings) : []
+  const abnormalValues = labValues.filter((v) => v.abnormal)
+  const abnormalTable = buildAbnormalTable(abnormalValues)
+  result.labValues = labValues
+  result.stats = collectEmployeeStats(labValues, summaryText, config)
+
+  // 本年关键指标 + history/ 中的往年记录 -> 历年对比表
+  const metrics = extractMetrics(labValues, emp.fields, getComparisonMetrics(config))
+  result.metrics = metrics
+  const comparisonTable = config.yearComparison
+    ? buildComparisonTable({ ...findHistoryMetrics(template.history, emp), [result.year]: metrics }, getComparisonMetrics(config))
+    : { rows: [] }
+
+  if (!imageItems.length && !abnormalValues.length && !comparisonTable.rows.length && !summaryText.trim()) {
+    result.reason = '检查文件均未能转换且无 AI 总结'
+    return result
+  }
+
+  // create a fresh copy of template zip for this employee
+  const templateZip = new PizZip(templateBuffer)
+  const outputZip = new PizZip(templateBuffer) // start from template
+  const deck = createDeckContext(outputZip)
+  // 以 rId 为键记录需要在 <p:sldIdLst> 中展开的幻灯片
+  const slideExpansions = new Map()
+  const slideSize = readSlideSize(templateZip)
+  const employeeReplacements = buildEmployeeReplacements(emp, placeholderOptions)
+
+  for (const templateSlide of slideRoles) {
+    const { slidePath, relId, role } = templateSlide
+    if (!outputZip.file(slidePath)) continue
+
+    // --- cover / closing: replace employee placeholders; other slides only {{列名}} / [列名] ---
+    if (role !== 'image-repeater') {
+      const bareKeys = role === 'cover' || role === 'closing' ? LEGACY_BARE_KEYS : new Set()
+      // 总结页的 {{总结}} 留给下方排版，不被员工表的同名列替换
+      const replacements = role === 'summary' && summaryText.trim() ? { ...employeeReplacements, 总结: '{{总结}}' } : employeeReplacements
+      outputZip.file(slidePath, replaceSlidePlaceholders(outputZip.file(slidePath).asText(), replacements, { bareKeys }))
+    }
+
+    // --- summary: overflow goes to cloned continuation slides ---
+    if (role === 'summary' && assetInfo.summaryText && assetInfo.summaryText.trim()) {
+      const slideRels = readSlideRels(templateZip, slidePath)
+      const pages = paginateSummarySlide(outputZip.file(slidePath).asText(), assetInfo.summaryBlocks, {
+        layoutXml: readSlideLayoutXml(templateZip, slidePath, slideRels),
+        slideSize,
+        continuedMarker: config.summaryContinuedMarker,
+      })
+      outputZip.file(slidePath, setSlideName(pages[0], SUMMARY_SECTION_TITLE))
+
+      const continuations = pages.slice(1).map((pageXml) =>
+        addSlideToDeck(deck, setSlideName(pageXml, SUMMARY_SECTION_TITLE), cloneSlideRelationships(slideRels, slidePath)))
+      if (continuations.length) appendSlideExpansion(slideExpansions, relId, continuations)
+    }
+
+    // --- image-repeater: one copy per page of images (per-category layout); without images the template slide is dropped ---
+    const hasImageSlides = imageItems.length || abnormalValues.length || comparisonTable.rows.length
+    if (role === 'image-repeater' && !hasImageSlides) slideExpansions.set(relId, [])
+    if (role === 'image-repeater' && hasImageSlides) {
+      const templateSlideXml = templateZip.file(slidePath).asText()
+      // parse template slide rels to find image relationships
+      const templateRels = readSlideRels(templateZip, slidePath)
+      const imageRel = templateRels.find((r) => r.Type === IMAGE_REL_TYPE)
+      const pictureFrame = imageRel ? findPictureFrame(templateSlideXml, imageRel.Id) : null
+      const firstFreeRelNumber = Math.max(0, ...templateRels.map((r) => parseInt(String(r.Id).replace(/^rId/, ''), 10) || 0)) + 1
+      const imageSlides = []
+      // 水印：工号 + 生成日期，只叠在图片页的图片框之上（匿名模式下为代号工号）；表格、文档页不加
+      const watermarkText = config.watermark ? [emp.id, formatDate(new Date(), placeholderOptions.dateFormat)].filter(Boolean).join(' ') : ''
+      // 幻灯片名称记录所属章节（检查类别、异常指标等），导出 PDF 时作为书签
+      const pushSlide = (slideXml, section, slideRels) =>
+        imageSlides.push(addSlideToDeck(deck, setSlideName(slideXml, section), slideRels))
+
+      const tableSlideRels = templateRels.filter((r) => !imageRel || r.Id !== imageRel.Id)
+      for (const table of [abnormalTable, comparisonTable].filter((t) => t.rows.length)) {
+        for (const slideXml of buildTemplateTableSlides(templateSlideXml, imageRel && imageRel.Id, pictureFrame, table, employeeReplacements)) {
+          pushSlide(slideXml, table.title, cloneSlideRelationships(tableSlideRels, slidePath))
         }
-        // find the index in sldIdListInner where r:id="slide1Rid"
-        const sldIdLines = sldIdListInner.split('\n').map(l => l.trim()).filter(Boolean)
-        let insertIndex = -1
-        if (slide1Rid) {
-          for (let i = 0; i < sldIdLines.length; i++) {
-            if (sldIdLines[i].includes(`r:id="${slide1Rid}"`)) {
-              insertIndex = i + 1
-              break
-            }
+      }
+
+      for (const page of groupImagesIntoPages(imageItems, config)) {
+        if (page.table || page.blocks) {
+          const contentSlides = page.table
+            ? buildTemplateTableSlides(templateSlideXml, imageRel && imageRel.Id, pictureFrame, { ...page.table, title: page.title }, employeeReplacements)
+            : buildTemplateDocumentSlides(templateSlideXml, imageRel && imageRel.Id, pictureFrame, page, employeeReplacements, slideSize)
+          for (const slideXml of contentSlides) {
+            pushSlide(slideXml, page.category, cloneSlideRelationships(tableSlideRels, slidePath))
           }
+          continue
         }
-        // fallback: append at end of existing slide list if not found
-        if (insertIndex === -1) {
-          insertIndex = sldIdLines.length
-        }
-
-        // build new slides one by one
-        const newSlideEntries = []
-        const newSlideRelsToAppend = []
-        let localNextSlideNumber = nextSlideNumber
-        let localNextSlideId = nextSlideId
-        let localNextRelId = nextRelId
 
-        for (const image of imageItems) {
-          const newSlideNumber = localNextSlideNumber++
-          const newSlidePath = `ppt/slides/slide${newSlideNumber}.xml`
-          const newSlideRelsPath = `ppt/slides/_rels/slide${newSlideNumber}.xml.rels`
+        const cells = pictureFrame ? getGridCells(pictureFrame, page.layout) : []
+        const placements = []
+        const mediaPaths = []
 
+        for (const [index, image] of page.images.entries()) {
           // 1) create a new media for this image
           // if image.data (base64) use that; else read fullPath
-          let newMediaPath = null
+          let buffer = null
+          let ext = '.png'
           if (image.data) {
-            const ext = (image.data.match(/^data:image\/(\w+);base64,/)?.[1] || 'png')
-            const safeExt = ext.startsWith('.') ? ext : `.${ext}`
-            newMediaPath = `ppt/media/image_${mediaCounter++}${safeExt}`
-            const base64 = image.data.replace(/^data:image\/\w+;base64,/, '')
-            const buffer = Buffer.from(base64, 'base64')
-            outputZip.file(newMediaPath, buffer)
-            contentTypesXml = ensureContentTypeOnce(contentTypesXml, `/${newMediaPath}`, 'image/png')
+            ext = `.${image.data.match(/^data:image\/(\w+);base64,/)?.[1] || 'png'}`
+            buffer = Buffer.from(image.data.replace(/^data:image\/\w+;base64,/, ''), 'base64')
           } else if (image.fullPath) {
-            const ext = path.extname(image.fullPath) || '.png'
-            newMediaPath = `ppt/media/image_${mediaCounter++}${ext}`
-            const buffer = await fs.readFile(image.fullPath)
-            outputZip.file(newMediaPath, buffer)
-            const ct = ext.match(/\.jpe?g/i) ? 'image/jpeg' : ext.match(/\.png/i) ? 'image/png' : 'image/png'
-            contentTypesXml = ensureContentTypeOnce(contentTypesXml, `/${newMediaPath}`, ct)
+            ext = path.extname(image.fullPath) || '.png'
+            buffer = await fs.readFile(image.fullPath)
           } else {
             continue
           }
 
-          // 2) create new slide xml: base on templateSlideXml, replace text placeholders (影像标题, 姓名, 工号 maybe)
-          const replacements = {
-            影像标题: image.label || '',
-            姓名: emp.name || '',
-            工号: emp.id || '',
+          // 预处理：EXIF 旋转、裁白边、按所在格子限制分辨率、扫描件转 JPEG；失败时沿用原图
+          const cell = cells[index] || null
+          let normalized = null
+          try {
+            normalized = await normalizeImage(buffer, ext, cell, imageOptions, image)
+          } catch (e) {
+            warnings.push(`${image.label}：图片预处理失败，已使用原图：${e.message}`)
+            normalized = { buffer, ext: ext.toLowerCase(), ...(readImageSize(buffer) || {}) }
           }
-          let newSlideXml = replaceTextInSlidePreferred(templateSlideXml, replacements)
-
-          // write slide xml
-          outputZip.file(newSlidePath, newSlideXml)
-          // ensure content type for slide
-          contentTypesXml = ensureContentTypeOnce(contentTypesXml, `/${newSlidePath}`, 'application/vnd.openxmlformats-officedocument.presentationml.slide+xml')
-
-          // 3) prepare rels: clone template relations, but for image relationships change Target to our newMediaPath
-          const clonedRels = []
-          if (templateRels && templateRels.length) {
-            for (const r of templateRels) {
-              // clone object shallow
-              const nr = Object.assign({}, r)
-              // if rel is image type, replace Target to newMediaPath (keeping same Id)
-              if (nr.Type && nr.Type.includes('/image')) {
-                // set relative path from slide to media
-                // slides are in ppt/slides/, media in ppt/media/
-                nr.Target = path.posix.relative(`ppt/slides`, newMediaPath).replace(/\\/g, '/')
-              } else if (nr.Type && nr.Type.includes('slideLayout')) {
-                // resolve layout path to template and reuse (we keep same Target)
-                const absolute = resolveRelationshipPath(`ppt/slides/slide${templateSlideNumber}.xml`, nr.Target)
-                // we assume layout already exists in template, map to same relative path
-                nr.Target = path.posix.relative(`ppt/slides`, absolute).replace(/\\/g, '/')
-              } else {
-                // other types: copy as resolved relative
-                const absolute = resolveRelationshipPath(`ppt/slides/slide${templateSlideNumber}.xml`, nr.Target)
-                nr.Target = path.posix.relative(`ppt/slides`, absolute).replace(/\\/g, '/')
-              }
-              clonedRels.push(nr)
-            }
-          }
-          // write the new rels xml for this slide
-          outputZip.file(newSlideRelsPath, buildRelationshipsXml(clonedRels))
-
-          // 4) add new presentation rel entry for this slide
-          const newRelId = `rId${localNextRelId++}`
-          newSlideEntries.push({
-            slideNumber: newSlideNumber,
-            slideId: localNextSlideId++,
-            relId: newRelId,
-            positionIndex: insertIndex, // we'll insert later
-          })
-          newSlideRelsToAppend.push(`  <Relationship Id="${newRelId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide" Target="slides/slide${newSlideNumber}.xml"/>`)
+          const imageSize = normalized.width && normalized.height ? { width: normalized.width, height: normalized.height } : null
+          if (!imageSize) console.warn(`⚠️ 无法识别图片尺寸，图片将铺满格子：${image.label}`)
+          // 相同内容的图片在同一份 PPT 中只存一份
+          mediaPaths.push(addMediaToDeck(deck, normalized.buffer, normalized.ext))
+          placements.push({ relId: placements.length ? `rId${firstFreeRelNumber + placements.length - 1}` : imageRel && imageRel.Id, imageSize, box: cell })
         }
+        if (!mediaPaths.length) continue
 
-        // 5) update presentation.xml: insert new <p:sldId> entries after the determined index and remove original slide2
-        // read current presContent
-        let presContent = outputZip.file('ppt/presentation.xml').asText()
-        let sldIdMatch = presContent.match(/<p:sldIdLst>([\s\S]*?)<\/p:sldIdLst>/)
-        let currentInner = sldIdMatch ? sldIdMatch[1].trim().split('\n').map(l => l.trim()).filter(Boolean) : []
-
-        // keep original slide1, slide3, slide4 entries
-        // only remove original slide2 entry from currentInner
-        currentInner = currentInner.filter(line => !line.includes(`r:id="${slide2Rid}"`))
-
-        // build new entries
-        const newEntriesXml = newSlideEntries.map((s) => `    <p:sldId id="${s.slideId}" r:id="${s.relId}"/>`)
-
-        // insert new entries after slide1
-        let finalSldIdLines = []
-        let inserted = false
-        for (const line of currentInner) {
-          finalSldIdLines.push(line)
-          // if this is slide1, insert new entries after it
-          if (line.includes(`r:id="${slide1Rid}"`)) {
-            finalSldIdLines.push(...newEntriesXml)
-            inserted = true
-          }
+        // 2) create new slide xml: base on templateSlideXml, replace text placeholders (影像标题, 姓名, 工号 maybe)
+        const replacements = { ...employeeReplacements, 影像标题: page.title || '' }
+        let newSlideXml = replaceSlidePlaceholders(templateSlideXml, replacements, { bareKeys: LEGACY_BARE_KEYS })
+
+        // contain：每张图在自己的格子内按实际像素尺寸等比缩放并居中
+        if (imageRel && pictureFrame) newSlideXml = layoutPicturesInFrame(newSlideXml, imageRel.Id, placements)
+
+        // 3) clone template relations: the template image points to the first media, extra pictures get their own relationships
+        const slideRels = cloneSlideRelationships(templateRels, slidePath, mediaPaths[0])
+        for (const [index, placement] of placements.entries()) {
+          if (index === 0 || !imageRel) continue
+          slideRels.push({ Id: placement.relId, Type: IMAGE_REL_TYPE, Target: path.posix.relative('ppt/slides', mediaPaths[index]) })
         }
+        pushSlide(addWatermark(newSlideXml, pictureFrame, watermarkText, config.watermarkOpacity), page.category, slideRels)
+      }
+
+      // 模板影像页本身被复制出的影像页取代；insertAfter 指定时插在对应页之后
+      if (templateSlide.insertAfterRelId) {
+        slideExpansions.set(relId, [])
+        appendSlideExpansion(slideExpansions, templateSlide.insertAfterRelId, imageSlides)
+      } else {
+        slideExpansions.set(relId, imageSlides)
+      }
+    }
+  }
+
+  // 5) update presentation.xml <p:sldIdLst>, presentation rels and [Content_Types].xml
+  writeSlideOrder(deck, slideExpansions)
+  finalizeDeck(deck)
+  result.degraded = failedAttachments.length > 0
+
+  const unresolved = new Set()
+  for (const deckSlidePath of listDeckSlidePaths(deck)) {
+    const deckSlide = outputZip.file(deckSlidePath)
+    if (deckSlide) findUnresolvedPlaceholders(deckSlide.asText()).forEach((key) => unresolved.add(key))
+  }
+  if (unresolved.size) {
+    const message = `未替换的占位符：${[...unresolved].map((key) => `{{${key}}}`).join('、')}`
+    warnings.push(message)
+    console.warn(`⚠ ${emp.name}：${message}`)
+  }
+
+  // 6) drop orphaned template parts, then make sure PowerPoint will open the deck without repair
+  cleanupDeckPackage(outputZip)
+  validateDeckPackage(outputZip)
+
+  if (config.pdfOutput) {
+    result.pdf = {
+      slideSize,
+      replacements: employeeReplacements,
+      sections: buildPdfSections({ abnormalTable, comparisonTable, imageItems, summaryBlocks: summaryText.trim() ? summary.blocks : [] }),
+    }
+  }
+  result.status = 'generated'
+  result.buffer = outputZip.generate({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 6 } })
+  result.slideCount = countSlides(outputZip.file('ppt/presentation.xml').asText())
+  return result
+}
+
+/**
+ * 为单个员工生成报告并写出 PPT 与检验指标，返回台账行。主线程与工作线程共用
+ */
+async function generateEmployeeReport (emp, matched, context, outPath) {
+  const entry = { name: emp.name, id: emp.id, status: '', reason: '', outputPath: '', pdfPath: '', slideCount: 0, summarySource: '', warnings: [] }
+  try {
+    const assets = { files: matched, ...classifyEmployeeFiles(matched, context.config) }
+    const result = await buildReportBuffer(emp, assets, context, { warnings: entry.warnings })
+    entry.stats = result.stats
+    entry.summarySource = result.summarySource
+    entry.degraded = result.degraded
+    if (result.labValues.length || Object.keys(result.metrics).length) {
+      // 导出的指标明年作为 history/ 的往年数据按工号匹配，始终以真实姓名、工号保存；匿名模式下写到 output/ 之外
+      const labValuesDir = emp.source ? context.paths.identifiedLabValuesDir : context.paths.labValuesDir
+      await writeLabValues(labValuesDir, emp.source || emp, result.labValues, { year: result.year, metrics: result.metrics })
+    }
+    if (result.status === 'skipped') {
+      entry.status = 'skipped'
+      entry.reason = result.reason
+      console.warn(`⏭ 跳过 ${emp.name}（${emp.id || '无工号'}）：${entry.reason}`)
+      return entry
+    }
+
+    await fs.writeFile(outPath, result.buffer)
+    entry.status = 'generated'
+    entry.outputPath = outPath
+    entry.slideCount = result.slideCount
+    console.log(`✓ 已生成：${outPath}`)
+    if (context.config.pdfOutput) entry.pdfPath = await writeReportPdf(emp, result, outPath, context.config, entry.warnings)
+  } catch (err) {
+    entry.status = 'failed'
+    entry.reason = err.message
+    console.error(`❌ ${emp.name || 'UNKNOWN'} 生成失败：`, err)
+  }
+  return entry
+}
+
+/**
+ * 加载模板及生成所需的共享上下文：配置、页面角色、往年数据与各目录位置，供 buildReportBuffer 使用。
+ * options 同 resolvePaths，另可直接传入 config。工作线程启动时各自加载一份
+ */
+async function loadTemplate (options = {}) {
+  const paths = resolvePaths(options)
+  const config = await loadReportConfig(paths, options.config)
+  const templatePath = paths.templatePath
+    ? await requireExistingFile(paths.templatePath, '模板文件')
+    : await resolveExistingPath(TEMPLATE_CANDIDATES, '模板文件', paths.rootDir)
+  const templateBuffer = await fs.readFile(templatePath)
+  const slideRoles = await resolveSlideRoles(new PizZip(templateBuffer), templatePath)
+  const placeholderOptions = getPlaceholderOptions(config)
+  const history = config.yearComparison ? await loadHistory(config, paths.rootDir) : []
+  return { config, paths, templatePath, templateBuffer, slideRoles, placeholderOptions, history }
+}
+
+// ---------- incremental regeneration ----------
+// 生成逻辑变化导致旧输出不再可信时递增，迫使全部重新生成
+const FINGERPRINT_VERSION = 7
+const REPORT_FILE_PATTERN = /^员工体检报告_.+\.pptx$/
 
-        // if slide1 not found, append new entries at the end
-        if (!inserted) {
-          finalSldIdLines.push(...newEntriesXml)
+function hashContent (...parts) {
+  const hash = crypto.createHash('sha256')
+  for (const part of parts) hash.update(part)
+  return hash.digest('hex')
+}
+
+function getEmployeeKey (emp) {
+  return emp.id ? `id:${emp.id}` : `name:${emp.name}`
+}
+
+function sanitizeFileName (value) {
+  return String(value || '').replace(/[\\/:*?"<>|\s]+/g, '_')
+}
+
+function buildReportFileName (emp, stamp) {
+  return `员工体检报告_${sanitizeFileName(emp.name) || 'unknown'}_${sanitizeFileName(emp.id)}_${stamp}.pptx`
+}
+
+/**
+ * 模板与配置的指纹：模板文件、页面角色与会影响成品的配置项（并发等运行参数除外）。
+ * PDF 相关配置不影响 PPTX，缺少 PDF 时单独判断
+ */
+function getTemplateFingerprint (context) {
+  const { concurrency, workerMemoryMb, cleanSuperseded, pdfOutput, pdfEngine, libreOfficePath, pdfFont, ...outputConfig } = context.config
+  return hashContent(context.templateBuffer, JSON.stringify(context.slideRoles), JSON.stringify(outputConfig))
+}
+
+/**
+ * 员工指纹：模板指纹 + 员工表整行 + 每个匹配文件的相对路径与内容哈希 + 该员工的往年指标
+ */
+async function getEmployeeFingerprint (emp, matched, templateFingerprint, history = {}) {
+  const files = []
+  for (const file of [...matched].sort((a, b) => a.relPath.localeCompare(b.relPath))) {
+    files.push(`${file.relPath}:${hashContent(await fs.readFile(file.fullPath))}`)
+  }
+  return hashContent(String(FINGERPRINT_VERSION), templateFingerprint, JSON.stringify(emp.fields || emp), files.join('\n'), JSON.stringify(history))
+}
+
+/**
+ * 生成清单中的一条记录。有附件转换失败的报告不记指纹，下次运行时视为输入已变化而重新生成，
+ * 避免修好 PDF 渲染器等环境问题后仍沿用缺页的旧报告
+ */
+function buildManifestEntry (entry, fingerprint) {
+  return {
+    name: entry.name,
+    id: entry.id,
+    fingerprint: entry.degraded ? '' : fingerprint,
+    outputFile: path.basename(entry.outputPath),
+    pdfFile: entry.pdfPath ? path.basename(entry.pdfPath) : '',
+    slideCount: entry.slideCount,
+    summarySource: entry.summarySource,
+    generatedAt: new Date().toISOString(),
+    stats: entry.stats,
+  }
+}
+
+async function readGenerationManifest (manifestFile) {
+  if (!(await fs.pathExists(manifestFile))) return { employees: {} }
+  try {
+    const manifest = await fs.readJson(manifestFile)
+    return { employees: manifest.employees || {} }
+  } catch (e) {
+    console.warn(`⚠️ 生成清单无法解析，将全部重新生成：${e.message}`)
+    return { employees: {} }
+  }
+}
+
+async function writeGenerationManifest (manifestFile, employees) {
+  await fs.writeJson(manifestFile, { version: FINGERPRINT_VERSION, updatedAt: new Date().toISOString(), employees }, { spaces: 2 })
+}
+
+/**
+ * 删除 output/ 中不再被生成清单引用的旧报告
+ */
+async function removeSupersededReports (outputDir, manifestEmployees) {
+  const current = new Set(Object.values(manifestEmployees).map((e) => path.basename(e.outputFile)))
+  const removed = []
+  for (const name of await safeReadDir(outputDir)) {
+    if (!REPORT_FILE_PATTERN.test(name) || current.has(name)) continue
+    await fs.remove(path.join(outputDir, name))
+    removed.push(name)
+  }
+  return removed
+}
+
+// ---------- parallel generation ----------
+const REPORT_WORKER_ROLE = 'report-worker'
+
+/**
+ * 并发数：命令行 --concurrency=N 优先，其次配置 concurrency；"auto" 为 CPU 核数 - 1（至多 4）
+ */
+function resolveConcurrency (config, taskCount, override) {
+  const configured = override || config.concurrency
+  const value = configured === 'auto' || configured === undefined
+    ? Math.min(4, os.cpus().length - 1)
+    : parseInt(configured, 10)
+  return Math.max(1, Math.min(Number.isFinite(value) ? value : 1, taskCount || 1))
+}
+
+/**
+ * 用 worker_threads 并行生成；每个线程一次只处理一名员工，内存受 workerMemoryMb 限制。
+ * 线程异常退出时当前员工记为失败，并补起新线程继续处理剩余员工
+ */
+function runInWorkerPool (tasks, concurrency, options, onResult) {
+  const { config } = options
+  return new Promise((resolve) => {
+    const results = new Array(tasks.length)
+    let next = 0
+    let finished = 0
+    if (!tasks.length) return resolve(results)
+
+    const complete = (index, entry) => {
+      results[index] = entry
+      onResult(entry)
+      if (++finished === tasks.length) resolve(results)
+    }
+
+    const launch = () => {
+      const worker = new Worker(__filename, {
+        workerData: { role: REPORT_WORKER_ROLE, options: options.templateOptions },
+        resourceLimits: config.workerMemoryMb ? { maxOldGenerationSizeMb: config.workerMemoryMb } : undefined,
+      })
+      let current = null
+      let lastError = null
+
+      const dispatch = () => {
+        if (next >= tasks.length) {
+          current = null
+          worker.terminate()
+          return
         }
+        current = next++
+        worker.postMessage({ index: current, task: tasks[current] })
+      }
+
+      worker.on('message', ({ index, entry }) => {
+        current = null
+        complete(index, entry)
+        dispatch()
+      })
+      worker.on('error', (err) => { lastError = err })
+      worker.on('exit', (code) => {
+        if (current === null) return
+        const { emp } = tasks[current]
+        const reason = `工作线程异常退出：${lastError ? lastError.message : `退出码 ${code}`}`
+        console.error(`❌ ${emp.name || 'UNKNOWN'} 生成失败：${reason}`)
+        complete(current, { name: emp.name, id: emp.id, status: 'failed', reason, outputPath: '', pdfPath: '', slideCount: 0, summarySource: '', warnings: [] })
+        current = null
+        if (next < tasks.length) launch()
+      })
+
+      dispatch()
+    }
+
+    for (let i = 0; i < Math.min(concurrency, tasks.length); i++) launch()
+  })
+}
+
+async function runReportWorker (templateOptions) {
+  const context = await loadTemplate(templateOptions)
+  parentPort.on('message', async ({ index, task }) => {
+    const entry = await generateEmployeeReport(task.emp, task.matched, context, task.outputPath)
+    parentPort.postMessage({ index, entry })
+  })
+}
+
+function formatDuration (ms) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000))
+  const hours = Math.floor(totalSeconds / 3600)
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0')
+  const seconds = String(totalSeconds % 60).padStart(2, '0')
+  return hours ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`
+}
+
+/**
+ * 控制台进度条与预计剩余时间；非终端输出（如重定向到日志）时每 5% 打印一行
+ */
+function createProgressBar (total, stream = process.stderr) {
+  const startedAt = Date.now()
+  const width = 30
+  const logEvery = Math.max(1, Math.round(total / 20))
+  let completed = 0
+
+  const render = () => {
+    const ratio = total ? completed / total : 1
+    const filled = Math.round(ratio * width)
+    const elapsed = Date.now() - startedAt
+    const eta = completed ? (elapsed / completed) * (total - completed) : 0
+    return `[${'#'.repeat(filled)}${'-'.repeat(width - filled)}] ${completed}/${total} ${(ratio * 100).toFixed(1)}%` +
+      ` 已用 ${formatDuration(elapsed)} 预计剩余 ${completed ? formatDuration(eta) : '--:--'}`
+  }
+
+  return {
+    tick () {
+      completed++
+      if (stream.isTTY) {
+        stream.write(`\r${render()}`)
+      } else if (completed % logEvery === 0 || completed === total) {
+        stream.write(`${render()}\n`)
+      }
+    },
+    done () {
+      if (stream.isTTY && total) stream.write('\n')
+    },
+  }
+}
+
+/**
+ * 批量生成：读取员工表、分配附件、增量生成全部报告并写出台账。
+ * options 同 loadTemplate，另有 force、clean、aggregate、anonymize、concurrency（对应命令行参数）
+ */
+async function generateReports (options = {}) {
+  const context = await loadTemplate(options)
+  if (options.pdf) context.config = { ...context.config, pdfOutput: true }
+  const { config, slideRoles, paths } = context
+  await fs.ensureDir(paths.outputDir)
+  await fs.ensureDir(paths.pdfCacheDir)
+  console.log(`模板页面角色：${slideRoles.map((s) => `${s.position}=${s.role}`).join(', ')}`)
+
+  console.log('正在读取员工表...')
+  const employees = await loadEmployees({ ...options, config })
+  console.log(`员工数量：${employees.length}`)
+  // 筛选只决定本次生成哪些员工；文件匹配与生成清单仍以整张员工表为准
+  const selected = new Set(await filterEmployees(employees, options.filter, config))
+  if (selected.size < employees.length) console.log(`本次筛选：${selected.size} 人`)
+
+  // scan data dir for files（含子目录），按工号优先、姓名其次分配给员工
+  const fileMatches = await collectAssets(employees, { ...options, config })
+  for (const { file, candidates } of fileMatches.ambiguous) {
+    const who = candidates.map((c) => `${c.name}(${c.id || '无工号'})`).join('、')
+    console.warn(`⚠️ 文件归属不明确，未附加：${file.relPath} -> ${who}，请在文件名中加入工号`)
+  }
+
+  // 匿名导出：匹配文件后再替换为代号，报告、文件名、台账与检验指标导出中只出现代号
+  const anonymizeMap = options.anonymize || config.anonymize ? await loadAnonymizeMap(config, paths.anonymizeMapFile) : null
+  const keepColumns = anonymizeMap ? getAnonymizeKeepColumns(config) : null
+  const reportEmployees = anonymizeMap ? employees.map((emp) => anonymizeEmployee(emp, anonymizeMap.salt, keepColumns)) : employees
+  if (anonymizeMap) {
+    await writeAnonymizeMap(anonymizeMap, employees.map((emp, index) => ({ emp, anonymous: reportEmployees[index] })))
+    console.log(`匿名模式：对照表已写入 ${paths.anonymizeMapFile}（请勿外发）`)
+  }
+
+  // 对比上次的生成清单，只重新生成输入指纹变化的员工；force 全部重新生成
+  const runStamp = formatTimestamp(new Date())
+  const templateFingerprint = getTemplateFingerprint(context)
+  const previous = await readGenerationManifest(paths.manifestFile)
+  const manifestEmployees = {}
+  const ledger = new Array(employees.length)
+  const tasks = []
+  for (const [index, sourceEmp] of employees.entries()) {
+    const emp = reportEmployees[index]
+    const matched = fileMatches.byEmployee.get(sourceEmp).files
+    const key = getEmployeeKey(emp)
+    if (!selected.has(sourceEmp)) {
+      // 未选中的员工保留上次的记录，避免被当作过期报告清理
+      if (previous.employees[key]) manifestEmployees[key] = previous.employees[key]
+      continue
+    }
+    const fingerprint = await getEmployeeFingerprint(emp, matched, templateFingerprint, findHistoryMetrics(context.history, emp))
+    const last = previous.employees[key]
+    const hasPdf = async () => !config.pdfOutput || Boolean(last.pdfFile && await fs.pathExists(path.join(paths.outputDir, last.pdfFile)))
+    if (!options.force && last && last.fingerprint === fingerprint && await fs.pathExists(path.join(paths.outputDir, last.outputFile)) && await hasPdf()) {
+      manifestEmployees[key] = last
+      ledger[index] = {
+        name: emp.name,
+        id: emp.id,
+        status: 'unchanged',
+        reason: '输入未变化，沿用已有报告',
+        outputPath: path.join(paths.outputDir, last.outputFile),
+        pdfPath: last.pdfFile ? path.join(paths.outputDir, last.pdfFile) : '',
+        slideCount: last.slideCount || 0,
+        summarySource: last.summarySource || '',
+        warnings: [],
+      }
+      continue
+    }
+    tasks.push({ index, key, fingerprint, emp, matched, outputPath: path.join(paths.outputDir, buildReportFileName(emp, runStamp)) })
+  }
+  console.log(`需要生成：${tasks.length}，输入未变化：${selected.size - tasks.length}`)
+
+  const concurrency = resolveConcurrency(config, tasks.length, options.concurrency)
+  console.log(`并发数：${concurrency}`)
+  const progress = createProgressBar(tasks.length)
+
+  let results
+  if (concurrency > 1) {
+    const templateOptions = { ...paths, config }
+    results = await runInWorkerPool(tasks, concurrency, { config, templateOptions }, (entry) => progress.tick(entry))
+  } else {
+    results = []
+    for (const { emp, matched, outputPath } of tasks) {
+      const entry = await generateEmployeeReport(emp, matched, context, outputPath)
+      results.push(entry)
+      progress.tick(entry)
+    }
+  }
+  progress.done()
+
+  for (const [i, task] of tasks.entries()) {
+    const entry = results[i]
+    if (anonymizeMap) {
+      entry.warnings = scrubWarnings(entry.warnings, employees[task.index], task.emp)
+      entry.summarySource = scrubWarnings([entry.summarySource], employees[task.index], task.emp)[0]
+    }
+    ledger[task.index] = entry
+    const last = previous.employees[task.key]
+    if (entry.status === 'generated') {
+      manifestEmployees[task.key] = buildManifestEntry(entry, task.fingerprint)
+      if (entry.degraded) console.warn(`⚠️ ${entry.name}：有附件未能转换，下次运行将重新生成`)
+    } else if (entry.status === 'failed' && last) {
+      // 生成失败时保留上次的报告；指纹不变，下次运行会再次尝试
+      manifestEmployees[task.key] = last
+    }
+  }
+  await writeGenerationManifest(paths.manifestFile, manifestEmployees)
+
+  if (options.clean || config.cleanSuperseded) {
+    const removed = await removeSupersededReports(paths.outputDir, manifestEmployees)
+    if (removed.length) console.log(`已清理过期报告：${removed.length} 个`)
+  }
+
+  const runLedger = ledger.filter(Boolean)
+  const ledgerPath = await writeRunLedger(paths, runLedger, runStamp)
+  printLedgerSummary(runLedger)
+  console.log(`生成台账：${ledgerPath}`)
+
+  // 全员汇总：未变化或本次未选中的员工沿用生成清单中保存的统计
+  if (options.aggregate || config.aggregateReport) {
+    const records = employees.map((emp, index) => {
+      const stats = (ledger[index] && ledger[index].stats) || (manifestEmployees[getEmployeeKey(reportEmployees[index])] || {}).stats
+      return buildCohortRecord(emp, fileMatches.byEmployee.get(emp).files, stats, config)
+    })
+    const fieldNames = [...new Set(employees.flatMap((emp) => Object.keys(emp.fields || {})))]
+    const { xlsxPath, pptxPath } = await writeAggregateReport(context, records, fieldNames, runStamp)
+    console.log(`全员汇总：${xlsxPath}、${pptxPath}`)
+  }
+  return runLedger
+}
+
+function countSlides (presentationXml) {
+  return (presentationXml.match(/<p:sldId\b/g) || []).length
+}
+
+// ---------- run ledger ----------
+const LEDGER_STATUS_TEXT = { generated: '已生成', unchanged: '未变化', skipped: '已跳过', failed: '失败' }
+
+function firstLine (text) {
+  return String(text || '').split('\n')[0].trim()
+}
+
+/**
+ * 每次运行输出 生成台账_YYYYMMDD_HHMM.xlsx / .json，供 HR 追补缺失资料
+ */
+async function writeRunLedger (paths, ledger, stamp) {
+  const jsonPath = path.join(paths.outputDir, `生成台账_${stamp}.json`)
+  const xlsxPath = path.join(paths.outputDir, `生成台账_${stamp}.xlsx`)
+  // 告警与原因里的错误信息只保留首行，模块加载失败附带的 "Require stack" 等堆栈只在控制台输出
+  const rows = ledger.map(({ stats, degraded, ...row }) => ({ ...row, reason: firstLine(row.reason), warnings: row.warnings.map(firstLine) }))
+  await fs.writeJson(jsonPath, { generatedAt: new Date().toISOString(), rows }, { spaces: 2 })
+
+  const workbook = new ExcelJS.Workbook()
+  const sheet = workbook.addWorksheet('生成台账')
+  sheet.columns = [
+    { header: '姓名', key: 'name', width: 12 },
+    { header: '工号', key: 'id', width: 12 },
+    { header: '状态', key: 'status', width: 10 },
+    { header: '原因', key: 'reason', width: 36 },
+    { header: '输出文件', key: 'outputPath', width: 60 },
+    { header: 'PDF', key: 'pdfPath', width: 40 },
+    { header: '幻灯片数', key: 'slideCount', width: 10 },
+    { header: 'AI 总结来源', key: 'summarySource', width: 36 },
+    { header: '告警', key: 'warnings', width: 60 },
+  ]
+  sheet.getRow(1).font = { bold: true }
+  for (const row of rows) {
+    sheet.addRow({
+      ...row,
+      status: LEDGER_STATUS_TEXT[row.status] || row.status,
+      outputPath: row.outputPath ? path.relative(paths.rootDir, row.outputPath) : '',
+      pdfPath: row.pdfPath ? path.relative(paths.rootDir, row.pdfPath) : '',
+      warnings: row.warnings.join('\n'),
+    })
+  }
+  await workbook.xlsx.writeFile(xlsxPath)
+  return xlsxPath
+}
+
+function printLedgerSummary (ledger) {
+  const count = (status) => ledger.filter((r) => r.status === status).length
+  console.log(`生成完成：已生成 ${count('generated')}，未变化 ${count('unchanged')}，跳过 ${count('skipped')}，失败 ${count('failed')}`)
+
+  const reasons = new Map()
+  for (const row of ledger.filter((r) => r.status === 'skipped' || r.status === 'failed')) {
+    reasons.set(row.reason, (reasons.get(row.reason) || 0) + 1)
+  }
+  for (const [reason, n] of reasons) {
+    console.log(`  - ${reason}：${n}`)
+  }
+}
+
+// ---------- cohort aggregate report ----------
+/**
+ * AI 总结中统计的常见发现；同一项的多个写法写在一起，命中任一即计入
+ */
+const DEFAULT_FINDING_KEYWORDS = {
+  脂肪肝: ['脂肪肝'],
+  血脂异常: ['血脂异常', '高脂血症', '血脂偏高', '胆固醇偏高', '甘油三酯偏高'],
+  高血压: ['高血压', '血压偏高'],
+  血糖偏高: ['血糖偏高', '高血糖', '糖尿病'],
+  高尿酸: ['高尿酸', '尿酸偏高'],
+  超重或肥胖: ['超重', '肥胖', '体重偏高'],
+  甲状腺结节: ['甲状腺结节'],
+  乳腺结节: ['乳腺结节', '乳腺增生'],
+  肺结节: ['肺结节', '肺部结节'],
+  肝功能异常: ['肝功能异常', '转氨酶升高', '转氨酶偏高'],
+  幽门螺杆菌阳性: ['幽门螺杆菌'],
+}
+const AGGREGATE_COLUMN_WEIGHTS = { group: 2, count: 1 }
+
+function getAgeBand (age, bands) {
+  const value = parseMetricNumber(age)
+  if (value === null) return '未填写'
+  const sorted = [...bands].sort((a, b) => a - b)
+  const upper = sorted.findIndex((b) => value < b)
+  if (upper === 0) return `${sorted[0]}岁以下`
+  if (upper === -1) return `${sorted[sorted.length - 1]}岁及以上`
+  return `${sorted[upper - 1]}–${sorted[upper] - 1}岁`
+}
+
+/**
+ * 员工层面的汇总素材，只含异常指标名与命中的发现，不含姓名；随生成清单保存供下次未变化的员工沿用
+ */
+function collectEmployeeStats (labValues, summaryText, config) {
+  const keywords = config.findingKeywords || DEFAULT_FINDING_KEYWORDS
+  return {
+    abnormalItems: [...new Set(labValues.filter((v) => v.abnormal).map((v) => v.item))],
+    findings: Object.keys(keywords).filter((name) => keywords[name].some((word) => String(summaryText || '').includes(word))),
+  }
+}
+
+function buildCohortRecord (emp, matched, stats, config) {
+  const { summaryFile, attachments } = classifyEmployeeFiles(matched, config)
+  const categories = new Set(attachments.filter((a) => a.type !== 'other').map((a) => parseAttachmentLabel(a.label, config).category))
+  const { abnormalItems = [], findings = [] } = stats || {}
+  return {
+    department: (emp.fields && emp.fields[config.departmentColumn]) || '未填写',
+    gender: emp.gender || '未填写',
+    ageBand: getAgeBand(emp.age, config.ageBands),
+    categories,
+    examined: categories.size > 0 || Boolean(summaryFile) || hasColumnSummary(emp, config),
+    abnormal: abnormalItems.length > 0 || findings.length > 0,
+    abnormalItems,
+    findings,
+  }
+}
+
+function formatRate (count, total) {
+  return total ? `${((count / total) * 100).toFixed(1)}%` : '—'
+}
 
-        const newSldIdLst = `<p:sldIdLst>\n${finalSldIdLines.join('\n')}\n</p:sldIdLst>`
-        presContent = presContent.replace(/<p:sldIdLst>[\s\S]*?<\/p:sldIdLst>/, newSldIdLst)
-        outputZip.file('ppt/presentation.xml', presContent)
+function countByGroup (records, key) {
+  const groups = new Map()
+  for (const record of records.filter((r) => r.examined)) {
+    const group = groups.get(record[key]) || { group: record[key], examined: 0, abnormal: 0 }
+    group.examined += 1
+    if (record.abnormal) group.abnormal += 1
+    groups.set(record[key], group)
+  }
+  return [...groups.values()]
+    .sort((a, b) => a.group.localeCompare(b.group, 'zh-CN', { numeric: true }))
+    .map((g) => ({ ...g, rate: formatRate(g.abnormal, g.examined) }))
+}
 
-        // 6) update presentation.xml.rels: append new Relationship lines before </Relationships> and keep original slide1, slide3, slide4 relationships
-        let presRelsContent = outputZip.file('ppt/_rels/presentation.xml.rels').asText()
-        const insertPos = presRelsContent.lastIndexOf('</Relationships>')
-        presRelsContent = presRelsContent.slice(0, insertPos) + '\n' + newSlideRelsToAppend.join('\n') + '\n' + presRelsContent.slice(insertPos)
-        outputZip.file('ppt/_rels/presentation.xml.rels', presRelsContent)
+function countTopItems (records, key, limit) {
+  const counts = new Map()
+  for (const record of records) record[key].forEach((item) => counts.set(item, (counts.get(item) || 0) + 1))
+  const examined = records.filter((r) => r.examined).length
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'zh-CN'))
+    .slice(0, limit)
+    .map(([item, count]) => ({ item, count, rate: formatRate(count, examined) }))
+}
 
-        // 7) update [Content_Types].xml was handled per-media & per-slide above in contentTypesXml
-        outputZip.file('[Content_Types].xml', contentTypesXml)
+/**
+ * 全员汇总：受检人数、各类检查完成率、按部门 / 性别 / 年龄段的异常率、常见发现与常见异常指标
+ */
+function aggregateCohort (records, config) {
+  const examined = records.filter((r) => r.examined)
+  const categoryNames = new Set(config.categoryOrder)
+  records.forEach((r) => r.categories.forEach((c) => categoryNames.add(c)))
+  const categories = [...categoryNames]
+    .sort((a, b) => getCategoryRank(a, config) - getCategoryRank(b, config))
+    .map((category) => {
+      const done = records.filter((r) => r.categories.has(category)).length
+      return { category, done, rate: formatRate(done, records.length) }
+    })
+    .filter((c) => c.done || config.categoryOrder.includes(c.category))
+  const abnormal = examined.filter((r) => r.abnormal).length
+  return {
+    total: records.length,
+    examined: examined.length,
+    abnormal,
+    abnormalRate: formatRate(abnormal, examined.length),
+    categories,
+    byDepartment: countByGroup(records, 'department'),
+    byGender: countByGroup(records, 'gender'),
+    byAgeBand: countByGroup(records, 'ageBand'),
+    findings: countTopItems(records, 'findings', config.topFindings),
+    abnormalItems: countTopItems(records, 'abnormalItems', config.topFindings),
+  }
+}
 
-      } // end processing template slide2 copies
+/**
+ * 汇总的各张表；工作簿每张表一个 Sheet，PPT 每张表一组表格页
+ */
+function buildAggregateTables (aggregate) {
+  const groupTable = (title, header, groups) => ({
+    title,
+    headers: [header, '受检人数', '异常人数', '异常率'],
+    rows: groups.map((g) => [g.group, g.examined, g.abnormal, g.rate]),
+  })
+  return [
+    {
+      title: '体检概况',
+      headers: ['项目', '数值'],
+      rows: [
+        ['员工总数', aggregate.total],
+        ['受检人数', aggregate.examined],
+        ['受检率', formatRate(aggregate.examined, aggregate.total)],
+        ['有异常发现人数', aggregate.abnormal],
+        ['异常率', aggregate.abnormalRate],
+      ],
+    },
+    { title: '检查完成率', headers: ['检查类别', '完成人数', '完成率'], rows: aggregate.categories.map((c) => [c.category, c.done, c.rate]) },
+    groupTable('异常率（按部门）', '部门', aggregate.byDepartment),
+    groupTable('异常率（按性别）', '性别', aggregate.byGender),
+    groupTable('异常率（按年龄段）', '年龄段', aggregate.byAgeBand),
+    { title: '常见发现（AI 总结）', headers: ['发现', '人数', '占受检人数'], rows: aggregate.findings.map((f) => [f.item, f.count, f.rate]) },
+    { title: '常见异常指标', headers: ['指标', '人数', '占受检人数'], rows: aggregate.abnormalItems.map((f) => [f.item, f.count, f.rate]) },
+  ]
+}
 
-      // write the final zip buffer to a new pptx file for this employee
-      const outFileName = `员工体检报告_${(emp.name || 'unknown')}_${(emp.id || '')}_${(new Date()).toISOString().replace(/[:.]/g, '')}.pptx`
-      const outPath = path.join(OUTPUT_DIR, outFileName)
+async function writeAggregateWorkbook (tables, xlsxPath) {
+  const workbook = new ExcelJS.Workbook()
+  for (const table of tables) {
+    // Sheet 名不能含 \ / ? * [ ] :，且最长 31 字
+    const sheet = workbook.addWorksheet(table.title.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31))
+    sheet.columns = table.headers.map((header, i) => ({ header, key: `c${i}`, width: i === 0 ? 24 : 14 }))
+    sheet.getRow(1).font = { bold: true }
+    for (const row of table.rows) sheet.addRow(row)
+  }
+  await workbook.xlsx.writeFile(xlsxPath)
+}
 
-      const finalBuffer = outputZip.generate({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 6 } })
-      await fs.writeFile(outPath, finalBuffer)
+/**
+ * 汇总 PPT：沿用模板的封面、静态页与结尾页，影像页改为汇总表格页，不含总结页；封面姓名处显示 “全员体检汇总”
+ */
+async function writeAggregateDeck (context, tables, fieldNames, outPath) {
+  const { templateBuffer, slideRoles, placeholderOptions } = context
+  const templateZip = new PizZip(templateBuffer)
+  const outputZip = new PizZip(templateBuffer)
+  const deck = createDeckContext(outputZip)
+  const slideExpansions = new Map()
+  const blankFields = Object.fromEntries(fieldNames.map((name) => [name, '']))
+  const replacements = buildEmployeeReplacements({ name: '全员体检汇总', fields: blankFields }, placeholderOptions)
 
-      success.push({ emp, outPath })
-      console.log(`✓ 已生成：${outPath}`)
-    } catch (err) {
-      console.error(`❌ ${emp.name || 'UNKNOWN'} 生成失败：`, err)
+  for (const templateSlide of slideRoles) {
+    const { slidePath, relId, role } = templateSlide
+    if (!outputZip.file(slidePath)) continue
+    if (role === 'summary') {
+      slideExpansions.set(relId, [])
+    } else if (role === 'image-repeater') {
+      const templateSlideXml = templateZip.file(slidePath).asText()
+      const templateRels = readSlideRels(templateZip, slidePath)
+      const imageRel = templateRels.find((r) => r.Type === IMAGE_REL_TYPE)
+      const frame = imageRel ? findPictureFrame(templateSlideXml, imageRel.Id) : null
+      const tableRels = templateRels.filter((r) => !imageRel || r.Id !== imageRel.Id)
+      const slides = []
+      for (const table of tables) {
+        const columns = table.headers.map((header, i) => ({ header, weight: i === 0 ? AGGREGATE_COLUMN_WEIGHTS.group : AGGREGATE_COLUMN_WEIGHTS.count }))
+        const rows = table.rows.map((row) => row.map((value) => ({ text: String(value) })))
+        for (const slideXml of buildTemplateTableSlides(templateSlideXml, imageRel && imageRel.Id, frame, { title: table.title, columns, rows }, replacements)) {
+          slides.push(addSlideToDeck(deck, slideXml, cloneSlideRelationships(tableRels, slidePath)))
+        }
+      }
+      if (templateSlide.insertAfterRelId) {
+        slideExpansions.set(relId, [])
+        appendSlideExpansion(slideExpansions, templateSlide.insertAfterRelId, slides)
+      } else {
+        slideExpansions.set(relId, slides)
+      }
+    } else {
+      const bareKeys = role === 'cover' || role === 'closing' ? LEGACY_BARE_KEYS : new Set()
+      outputZip.file(slidePath, replaceSlidePlaceholders(outputZip.file(slidePath).asText(), replacements, { bareKeys }))
     }
   }
 
-  console.log('生成完成，数量：', success.length)
+  writeSlideOrder(deck, slideExpansions)
+  finalizeDeck(deck)
+  cleanupDeckPackage(outputZip)
+  validateDeckPackage(outputZip)
+  await fs.writeFile(outPath, outputZip.generate({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 6 } }))
+}
+
+/**
+ * 输出 体检汇总_YYYYMMDD_HHMM.xlsx / .pptx；records 来自 buildCohortRecord，不含任何员工姓名
+ */
+async function writeAggregateReport (context, records, fieldNames, stamp) {
+  const tables = buildAggregateTables(aggregateCohort(records, context.config))
+  const xlsxPath = path.join(context.paths.outputDir, `体检汇总_${stamp}.xlsx`)
+  const pptxPath = path.join(context.paths.outputDir, `体检汇总_${stamp}.pptx`)
+  await writeAggregateWorkbook(tables, xlsxPath)
+  await writeAggregateDeck(context, tables, fieldNames, pptxPath)
+  return { xlsxPath, pptxPath }
 }
 
 function resolveRelationshipPath (from, target) {
@@ -636,8 +4772,185 @@ function resolveRelationshipPath (from, target) {
   return path.posix.normalize(path.posix.join(baseDir, target))
 }
 
+// ================= CLI
+/**
+ * 列出员工及其匹配到的资料与最近一次生成的报告，不生成任何文件
+ */
+async function listEmployees (options = {}) {
+  const paths = resolvePaths(options)
+  const config = await loadReportConfig(paths, options.config)
+  const employees = await loadEmployees({ ...options, config })
+  const selected = await filterEmployees(employees, options.filter, config)
+  const { byEmployee } = await collectAssets(employees, { ...options, config })
+  const manifest = await readGenerationManifest(paths.manifestFile)
+
+  const rows = selected.map((emp) => {
+    const { attachments, summaryFile } = byEmployee.get(emp)
+    const summarySource = summaryFile ? getSummaryFileSource(summaryFile) : hasColumnSummary(emp, config) ? 'column' : ''
+    const last = manifest.employees[getEmployeeKey(emp)]
+    return {
+      id: emp.id,
+      name: emp.name,
+      department: (emp.fields && emp.fields[config.departmentColumn]) || '',
+      attachments: attachments.length,
+      summary: summarySource ? SUMMARY_SOURCE_TEXT[summarySource] : '',
+      report: last ? last.outputFile : '',
+    }
+  })
+
+  console.log(['工号', '姓名', '部门', '附件数', 'AI总结', '最近报告'].join('\t'))
+  for (const row of rows) {
+    console.log([row.id || '-', row.name, row.department || '-', row.attachments, row.summary || '无', row.report || '未生成'].join('\t'))
+  }
+  console.log(`共 ${rows.length} 人`)
+  return rows
+}
+
+const CLI_COMMANDS = ['generate', 'validate', 'list']
+// 带值的参数：--data=DIR 或 --data DIR
+const CLI_VALUE_FLAGS = {
+  data: 'dataDir',
+  template: 'templatePath',
+  employees: 'employeeSheetPath',
+  sheet: 'sheetName',
+  output: 'outputDir',
+  config: 'configFile',
+  concurrency: 'concurrency',
+  id: 'ids',
+  name: 'names',
+  department: 'departments',
+  list: 'listFile',
+}
+const CLI_PATH_FLAGS = new Set(['data', 'template', 'employees', 'output', 'config', 'list'])
+const CLI_FILTER_FLAGS = new Set(['id', 'name', 'department', 'list'])
+const CLI_BOOLEAN_FLAGS = { force: 'force', clean: 'clean', aggregate: 'aggregate', anonymize: 'anonymize', pdf: 'pdf', 'all-sheets': 'allSheets', 'dry-run': 'dryRun', help: 'help' }
+
+const CLI_USAGE = `用法：node merged.js [generate|validate|list] [选项]
+
+命令：
+  generate              生成报告（缺省）
+  validate              预检，只输出预检报告（同 --dry-run）
+  list                  列出员工、匹配到的资料与最近一次生成的报告
+
+输入 / 输出：
+  --data=目录           检查文件目录（默认 data/）
+  --template=文件       模板 PPT
+  --employees=文件      员工表（.xlsx 或 .csv）
+  --sheet=名称          员工表中的 Sheet（默认第一个）
+  --all-sheets          读取员工表的全部 Sheet
+  --output=目录         输出目录（默认 output/）
+  --config=文件         配置文件（默认 report.config.json）
+
+筛选（可重复或用逗号分隔，条件之间为“或”）：
+  --id=工号             按工号
+  --name=姓名           按姓名
+  --department=部门     按部门（列名见配置 departmentColumn）
+  --list=文件           名单文件，每行一个工号或姓名
+
+生成：
+  --force               忽略生成清单，全部重新生成
+  --clean               清理被新版本取代的旧报告
+  --aggregate           输出全员汇总
+  --anonymize           匿名导出
+  --pdf                 同时输出 PDF 版
+  --concurrency=N       并发线程数`
+
+/**
+ * 命令行参数 -> generateReports / runPreflight / listEmployees 的 options。
+ * 路径参数相对于当前工作目录
+ */
+function parseCliOptions (argv, cwd = process.cwd()) {
+  const options = { command: 'generate' }
+  const filter = {}
+  const rest = [...argv]
+  if (rest.length && !rest[0].startsWith('-')) {
+    const command = rest.shift()
+    if (!CLI_COMMANDS.includes(command)) throw new Error(`未知命令：${command}\n\n${CLI_USAGE}`)
+    options.command = command
+  }
+
+  while (rest.length) {
+    const arg = rest.shift()
+    const match = arg.match(/^--([^=]+)(?:=([\s\S]*))?$/)
+    if (!match) throw new Error(`无法识别的参数：${arg}\n\n${CLI_USAGE}`)
+    const [, flag, inlineValue] = match
+
+    if (CLI_BOOLEAN_FLAGS[flag] && inlineValue === undefined) {
+      options[CLI_BOOLEAN_FLAGS[flag]] = true
+      continue
+    }
+    if (!CLI_VALUE_FLAGS[flag]) throw new Error(`未知参数：--${flag}\n\n${CLI_USAGE}`)
+    const value = inlineValue !== undefined ? inlineValue : rest.shift()
+    if (value === undefined || value === '') throw new Error(`参数 --${flag} 缺少取值`)
+
+    const key = CLI_VALUE_FLAGS[flag]
+    const resolved = CLI_PATH_FLAGS.has(flag) ? path.resolve(cwd, value) : value
+    if (flag === 'list') {
+      filter.listFile = resolved
+    } else if (CLI_FILTER_FLAGS.has(flag)) {
+      filter[key] = [...(filter[key] || []), ...value.split(/[,，]/).map((v) => v.trim()).filter(Boolean)]
+    } else {
+      options[key] = resolved
+    }
+  }
+
+  if (options.dryRun) options.command = 'validate'
+  if (options.allSheets) options.sheetName = '*'
+  if (Object.keys(filter).length) options.filter = filter
+  return options
+}
+
+async function runCli (argv = process.argv.slice(2)) {
+  const options = parseCliOptions(argv)
+  if (options.help) {
+    console.log(CLI_USAGE)
+    return null
+  }
+  if (options.command === 'validate') return runPreflight(options)
+  if (options.command === 'list') return listEmployees(options)
+  return generateReports(options)
+}
+
+module.exports = {
+  // 流水线
+  loadEmployees,
+  collectAssets,
+  resolveSummary,
+  buildImageItems,
+  loadTemplate,
+  buildReportBuffer,
+  generateReports,
+  runPreflight,
+  listEmployees,
+  filterEmployees,
+  // 辅助
+  resolvePaths,
+  replaceSlidePlaceholders,
+  parseMarkdownSummary,
+  readExifOrientation,
+  validateDeckPackage,
+  DEFAULT_CONFIG,
+  // 内部函数，供单元测试使用
+  wrapText,
+  paginateSummaryBlocks,
+  extractSummaryDocument,
+  getGridCells,
+  layoutPicturesInFrame,
+  cleanupDeckPackage,
+  parseReferenceRange,
+  getLabFlag,
+  parseLabPage,
+}
+
 // ================= run
-main().catch((e) => {
-  console.error('执行失败：', e)
-  process.exit(1)
-})
+if (!isMainThread && workerData && workerData.role === REPORT_WORKER_ROLE) {
+  runReportWorker(workerData.options).catch((err) => {
+    console.error(err)
+    process.exit(1)
+  })
+} else if (require.main === module) {
+  runCli().catch((e) => {
+    console.error('执行失败：', e)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,178 @@
+/**
+ * 测试夹具：在临时目录里生成一份最小化的模板、员工表与检查文件，
+ * 结构与正式模板一致（封面 / 影像页 / 总结页 / 结束页），不依赖仓库中的真实数据。
+ */
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const PizZip = require('pizzip')
+const ExcelJS = require('exceljs')
+
+const NS = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ' +
+  'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"'
+const REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships'
+const OFFICE_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+const PML_CT = 'application/vnd.openxmlformats-officedocument.presentationml'
+
+// 1x1 白色 PNG
+const PNG_1X1 = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==',
+  'base64'
+)
+
+function xml (body) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`
+}
+
+function rels (entries) {
+  const items = entries.map(([id, type, target]) => `<Relationship Id="${id}" Type="${OFFICE_REL}/${type}" Target="${target}"/>`)
+  return xml(`<Relationships xmlns="${REL_NS}">${items.join('')}</Relationships>`)
+}
+
+function textShape (id, runs, frame = { x: 457200, y: 457200, cx: 5943600, cy: 914400 }) {
+  const runXml = runs.map((text) => `<a:r><a:rPr lang="zh-CN" altLang="en-US" sz="1400"/><a:t>${text}</a:t></a:r>`).join('')
+  return `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="文本框 ${id}"/><p:cNvSpPr txBox="1"/><p:nvPr/></p:nvSpPr>` +
+    `<p:spPr><a:xfrm><a:off x="${frame.x}" y="${frame.y}"/><a:ext cx="${frame.cx}" cy="${frame.cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr>` +
+    `<p:txBody><a:bodyPr/><a:lstStyle/><a:p>${runXml}</a:p></p:txBody></p:sp>`
+}
+
+function slide (shapes) {
+  return xml(`<p:sld ${NS}><p:cSld><p:spTree><p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>` +
+    `<p:grpSpPr/>${shapes.join('')}</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>`)
+}
+
+const PICTURE_SHAPE = '<p:pic><p:nvPicPr><p:cNvPr id="3" name="图片 2"/><p:cNvPicPr><a:picLocks noChangeAspect="1"/></p:cNvPicPr><p:nvPr/></p:nvPicPr>' +
+  '<p:blipFill><a:blip r:embed="rId2"/><a:stretch><a:fillRect/></a:stretch></p:blipFill>' +
+  '<p:spPr><a:xfrm><a:off x="192101" y="1602482"/><a:ext cx="6500692" cy="7587617"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr></p:pic>'
+
+/**
+ * 生成最小模板 PPTX 的 Buffer。
+ * 封面同时包含旧式裸占位符（姓名）和被拆成多个 run 的 {{部门}}
+ */
+function buildFixtureTemplate () {
+  const zip = new PizZip()
+  const slides = [
+    slide([
+      textShape(2, ['姓名']),
+      textShape(3, ['{{部', '门}}'], { x: 457200, y: 1600200, cx: 5943600, cy: 914400 }),
+      textShape(4, ['日期'], { x: 457200, y: 2743200, cx: 5943600, cy: 914400 }),
+    ]),
+    slide([textShape(2, ['影像标题']), PICTURE_SHAPE]),
+    slide([textShape(2, ['总结'], { x: 656590, y: 850274, cx: 5544185, cy: 8111490 })]),
+    slide([textShape(2, ['祝 {{姓名}} 身体健康'])]),
+  ]
+
+  const overrides = [
+    ['/ppt/presentation.xml', `${PML_CT}.presentation.main+xml`],
+    ['/ppt/slideMasters/slideMaster1.xml', `${PML_CT}.slideMaster+xml`],
+    ['/ppt/slideLayouts/slideLayout1.xml', `${PML_CT}.slideLayout+xml`],
+    ['/ppt/theme/theme1.xml', 'application/vnd.openxmlformats-officedocument.theme+xml'],
+    ...slides.map((_, i) => [`/ppt/slides/slide${i + 1}.xml`, `${PML_CT}.slide+xml`]),
+  ]
+  zip.file('[Content_Types].xml', xml(
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Default Extension="png" ContentType="image/png"/>' +
+    overrides.map(([part, type]) => `<Override PartName="${part}" ContentType="${type}"/>`).join('') +
+    '</Types>'
+  ))
+  zip.file('_rels/.rels', rels([['rId1', 'officeDocument', 'ppt/presentation.xml']]))
+
+  zip.file('ppt/presentation.xml', xml(
+    `<p:presentation ${NS}><p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>` +
+    `<p:sldIdLst>${slides.map((_, i) => `<p:sldId id="${256 + i}" r:id="rId${i + 2}"/>`).join('')}</p:sldIdLst>` +
+    '<p:sldSz cx="6858000" cy="9906000"/><p:notesSz cx="6858000" cy="9144000"/></p:presentation>'
+  ))
+  zip.file('ppt/_rels/presentation.xml.rels', rels([
+    ['rId1', 'slideMaster', 'slideMasters/slideMaster1.xml'],
+    ...slides.map((_, i) => [`rId${i + 2}`, 'slide', `slides/slide${i + 1}.xml`]),
+    [`rId${slides.length + 2}`, 'theme', 'theme/theme1.xml'],
+  ]))
+
+  slides.forEach((slideXml, i) => {
+    zip.file(`ppt/slides/slide${i + 1}.xml`, slideXml)
+    const slideRels = [['rId1', 'slideLayout', '../slideLayouts/slideLayout1.xml']]
+    if (i === 1) slideRels.push(['rId2', 'image', '../media/image1.png'])
+    zip.file(`ppt/slides/_rels/slide${i + 1}.xml.rels`, rels(slideRels))
+  })
+  zip.file('ppt/media/image1.png', PNG_1X1)
+
+  zip.file('ppt/slideLayouts/slideLayout1.xml', xml(
+    `<p:sldLayout ${NS} type="blank"><p:cSld name="空白"><p:spTree><p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr><p:grpSpPr/></p:spTree></p:cSld></p:sldLayout>`
+  ))
+  zip.file('ppt/slideLayouts/_rels/slideLayout1.xml.rels', rels([['rId1', 'slideMaster', '../slideMasters/slideMaster1.xml']]))
+  zip.file('ppt/slideMasters/slideMaster1.xml', xml(
+    `<p:sldMaster ${NS}><p:cSld><p:spTree><p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr><p:grpSpPr/></p:spTree></p:cSld>` +
+    '<p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>' +
+    '<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst></p:sldMaster>'
+  ))
+  zip.file('ppt/slideMasters/_rels/slideMaster1.xml.rels', rels([
+    ['rId1', 'slideLayout', '../slideLayouts/slideLayout1.xml'],
+    ['rId2', 'theme', '../theme/theme1.xml'],
+  ]))
+  zip.file('ppt/theme/theme1.xml', xml(
+    '<a:theme xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" name="Fixture"><a:themeElements>' +
+    '<a:clrScheme name="Fixture"><a:dk1><a:srgbClr val="000000"/></a:dk1><a:lt1><a:srgbClr val="FFFFFF"/></a:lt1></a:clrScheme>' +
+    '<a:fontScheme name="Fixture"><a:majorFont><a:latin typeface="Arial"/></a:majorFont><a:minorFont><a:latin typeface="Arial"/></a:minorFont></a:fontScheme>' +
+    '<a:fmtScheme name="Fixture"/></a:themeElements></a:theme>'
+  ))
+
+  return zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' })
+}
+
+/**
+ * 最小 docx：每个字符串一段
+ */
+function buildFixtureDocx (paragraphs) {
+  const zip = new PizZip()
+  zip.file('[Content_Types].xml', xml(
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '</Types>'
+  ))
+  zip.file('_rels/.rels', rels([['rId1', 'officeDocument', 'word/document.xml']]))
+  zip.file('word/document.xml', xml(
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+    paragraphs.map((text) => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`).join('') +
+    '</w:body></w:document>'
+  ))
+  return zip.generate({ type: 'nodebuffer' })
+}
+
+/**
+ * 在临时目录中搭一个完整的项目：模板、员工表（张三 / 李四）、data/ 下张三的两张血检图与总结。
+ * 返回 rootDir，可直接作为各 API 的 options.rootDir
+ */
+async function createFixtureProject () {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-fixture-'))
+  await fs.writeFile(path.join(rootDir, '2025员工体检报告（模板）.pptx'), buildFixtureTemplate())
+
+  const workbook = new ExcelJS.Workbook()
+  const sheet = workbook.addWorksheet('员工')
+  sheet.addRow(['姓名', '工号', '性别', '年龄', '部门'])
+  sheet.addRow(['张三', 'A001', '男', 35, '研发部'])
+  sheet.addRow(['李四', 'A002', '女', 42, '财务部'])
+  await workbook.xlsx.writeFile(path.join(rootDir, '员工表.xlsx'))
+
+  const dataDir = path.join(rootDir, 'data')
+  await fs.ensureDir(dataDir)
+  await fs.writeFile(path.join(dataDir, '张三-血检-1.png'), PNG_1X1)
+  await fs.writeFile(path.join(dataDir, '张三-血检-2.png'), PNG_1X1)
+  await fs.writeFile(path.join(dataDir, '张三-AI总结.docx'), buildFixtureDocx(['整体情况良好。', '建议定期复查血脂。']))
+  await fs.writeFile(path.join(dataDir, '王五-血检.png'), PNG_1X1)
+
+  return rootDir
+}
+
+// 测试不依赖 canvas：关闭裁边，不提取检验指标，不做历年对比
+const FIXTURE_CONFIG = {
+  images: { trimMargins: false },
+  labValues: false,
+  yearComparison: false,
+}
+
+module.exports = { buildFixtureTemplate, buildFixtureDocx, createFixtureProject, FIXTURE_CONFIG, PNG_1X1 }
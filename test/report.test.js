@@ -0,0 +1,427 @@
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const path = require('path')
+const fs = require('fs-extra')
+const PizZip = require('pizzip')
+const ExcelJS = require('exceljs')
+
+const {
+  loadEmployees,
+  collectAssets,
+  resolveSummary,
+  buildImageItems,
+  loadTemplate,
+  buildReportBuffer,
+  generateReports,
+  filterEmployees,
+  runPreflight,
+  replaceSlidePlaceholders,
+  parseMarkdownSummary,
+  readExifOrientation,
+  validateDeckPackage,
+} = require('..')
+const { createFixtureProject, buildFixtureDocx, FIXTURE_CONFIG, PNG_1X1 } = require('./fixtures')
+
+let rootDir
+let options
+
+before(async () => {
+  rootDir = await createFixtureProject()
+  options = { rootDir, config: FIXTURE_CONFIG }
+})
+
+after(async () => {
+  if (rootDir) await fs.remove(rootDir)
+})
+
+function readRels (zip, relsPath) {
+  return [...zip.file(relsPath).asText().matchAll(/<Relationship\b[^>]*\/>/g)].map((m) => ({
+    id: (m[0].match(/\bId="([^"]+)"/) || [])[1],
+    type: (m[0].match(/\bType="([^"]+)"/) || [])[1],
+    target: (m[0].match(/\bTarget="([^"]+)"/) || [])[1],
+  }))
+}
+
+// 按 <p:sldIdLst> 的顺序返回幻灯片 XML
+function readSlidesInOrder (zip) {
+  const presRels = readRels(zip, 'ppt/_rels/presentation.xml.rels')
+  const presentationXml = zip.file('ppt/presentation.xml').asText()
+  return [...presentationXml.matchAll(/<p:sldId\b[^>]*r:id="([^"]+)"/g)].map((m) => {
+    const rel = presRels.find((r) => r.id === m[1])
+    const slidePath = path.posix.join('ppt', rel.target)
+    return { slidePath, xml: zip.file(slidePath).asText() }
+  })
+}
+
+function slideText (slideXml) {
+  return [...slideXml.matchAll(/<a:t>([^<]*)<\/a:t>/g)].map((m) => m[1]).join('')
+}
+
+async function buildFor (name) {
+  const employees = await loadEmployees(options)
+  const emp = employees.find((e) => e.name === name)
+  const { byEmployee } = await collectAssets(employees, options)
+  const template = await loadTemplate(options)
+  return buildReportBuffer(emp, byEmployee.get(emp), template)
+}
+
+test('loadEmployees 读取员工表的全部列', async () => {
+  const employees = await loadEmployees(options)
+  assert.equal(employees.length, 2)
+  assert.deepEqual(
+    employees.map((e) => [e.name, e.id, e.gender, e.age]),
+    [['张三', 'A001', '男', '35'], ['李四', 'A002', '女', '42']]
+  )
+  assert.equal(employees[0].fields['部门'], '研发部')
+})
+
+test('collectAssets 按姓名分配文件，识别总结并列出无主文件', async () => {
+  const employees = await loadEmployees(options)
+  const { byEmployee, orphans, ambiguous } = await collectAssets(employees, options)
+  const zhang = byEmployee.get(employees[0])
+  assert.equal(zhang.summaryFile.fileName, '张三-AI总结.docx')
+  assert.deepEqual(zhang.attachments.map((a) => a.label).sort(), ['血检-1', '血检-2'])
+  assert.equal(byEmployee.get(employees[1]).files.length, 0)
+  assert.deepEqual(orphans.map((f) => f.fileName), ['王五-血检.png'])
+  assert.equal(ambiguous.length, 0)
+})
+
+test('buildImageItems 为每张图片生成一个影像条目并标注类别', async () => {
+  const employees = await loadEmployees(options)
+  const { byEmployee } = await collectAssets(employees, options)
+  const items = await buildImageItems(byEmployee.get(employees[0]), employees[0], options)
+  assert.deepEqual(items.map((i) => [i.label, i.category]), [['血检-1', '血检'], ['血检-2', '血检']])
+})
+
+test('buildReportBuffer 生成结构完整的 PPT', async () => {
+  const result = await buildFor('张三')
+  assert.equal(result.status, 'generated')
+  const zip = new PizZip(result.buffer)
+  assert.doesNotThrow(() => validateDeckPackage(zip))
+
+  const slides = readSlidesInOrder(zip)
+  assert.equal(slides.length, result.slideCount)
+  // 封面、两张血检影像页、总结页、结束页
+  assert.equal(slides.length, 5)
+  const texts = slides.map((s) => slideText(s.xml))
+  assert.match(texts[0], /张三/)
+  assert.match(texts[0], /研发部/)
+  assert.match(texts[1], /血检/)
+  assert.match(texts[2], /血检/)
+  assert.match(texts[3], /整体情况良好/)
+  assert.match(texts[3], /建议定期复查血脂/)
+  assert.equal(texts[4], '祝 张三 身体健康')
+
+  for (const { slidePath, xml } of slides) {
+    assert.doesNotMatch(xml, /\{\{|\}\}/, `${slidePath} 仍有未替换的占位符`)
+  }
+})
+
+test('buildReportBuffer 的关系与 Content Type 一一对应', async () => {
+  const result = await buildFor('张三')
+  const zip = new PizZip(result.buffer)
+  const contentTypes = zip.file('[Content_Types].xml').asText()
+  assert.match(contentTypes, /<Default Extension="png" ContentType="image\/png"\/>/)
+
+  const slides = readSlidesInOrder(zip)
+  for (const { slidePath } of slides) {
+    assert.match(contentTypes, new RegExp(`PartName="/${slidePath}"`), `${slidePath} 没有 Override`)
+    const relsPath = slidePath.replace(/slides\/(slide\d+\.xml)$/, 'slides/_rels/$1.rels')
+    for (const rel of readRels(zip, relsPath)) {
+      const target = path.posix.normalize(path.posix.join(path.posix.dirname(slidePath), rel.target))
+      assert.ok(zip.file(target), `${relsPath} 的 ${rel.id} 指向不存在的 ${target}`)
+    }
+  }
+
+  // 影像页引用的是员工的图片，而非模板中的占位图
+  const imageSlide = slides[1]
+  const embed = imageSlide.xml.match(/r:embed="([^"]+)"/)[1]
+  const relsPath = imageSlide.slidePath.replace(/slides\/(slide\d+\.xml)$/, 'slides/_rels/$1.rels')
+  const imageRel = readRels(zip, relsPath).find((r) => r.id === embed)
+  assert.notEqual(imageRel.target, '../media/image1.png')
+})
+
+test('buildReportBuffer 按章节命名幻灯片，并为 PDF 整理同样的章节', async () => {
+  const employees = await loadEmployees(options)
+  const { byEmployee } = await collectAssets(employees, options)
+  const template = await loadTemplate({ ...options, config: { ...FIXTURE_CONFIG, pdfOutput: true } })
+  const result = await buildReportBuffer(employees[0], byEmployee.get(employees[0]), template)
+
+  const names = readSlidesInOrder(new PizZip(result.buffer)).map((s) => (s.xml.match(/<p:cSld\b[^>]*\bname="([^"]*)"/) || [])[1])
+  assert.deepEqual(names.slice(1, 4), ['血检', '血检', 'AI 总结'])
+  assert.deepEqual(result.pdf.sections.map((s) => s.title), ['血检', 'AI 总结'])
+  assert.equal(result.pdf.sections[0].items.length, 2)
+  assert.deepEqual(result.pdf.slideSize, { cx: 6858000, cy: 9906000 })
+})
+
+test('buildReportBuffer 对没有任何文件的员工返回 skipped', async () => {
+  const result = await buildFor('李四')
+  assert.equal(result.status, 'skipped')
+  assert.equal(result.buffer, null)
+  assert.match(result.reason, /无检查文件/)
+})
+
+test('replaceSlidePlaceholders 处理被拆成多个 run 的占位符与裸占位符', () => {
+  const slideXml = '<p:sld><a:p><a:r><a:t>{{工</a:t></a:r><a:r><a:t>号}}</a:t></a:r></a:p><a:p><a:r><a:t>姓名</a:t></a:r></a:p></p:sld>'
+  const replacements = { 工号: 'A001', 姓名: '张三' }
+  assert.equal(slideText(replaceSlidePlaceholders(slideXml, replacements)), 'A001姓名')
+  // 裸占位符只在显式允许时替换
+  assert.equal(slideText(replaceSlidePlaceholders(slideXml, replacements, { bareKeys: new Set(['姓名']) })), 'A001张三')
+})
+
+test('filterEmployees 按工号、姓名、部门筛选，条件之间为“或”', async () => {
+  const employees = await loadEmployees(options)
+  const config = { departmentColumn: '部门' }
+  const names = async (filter) => (await filterEmployees(employees, filter, config)).map((e) => e.name)
+  assert.deepEqual(await names(undefined), ['张三', '李四'])
+  assert.deepEqual(await names({ ids: ['A002'] }), ['李四'])
+  assert.deepEqual(await names({ names: ['张三'], departments: ['财务部'] }), ['张三', '李四'])
+  await assert.rejects(() => filterEmployees(employees, { ids: ['B999'] }, config), /没有匹配到任何员工/)
+})
+
+test('loadEmployees 读取英文表头的 CSV，GBK 编码同样可读', async () => {
+  const csv = 'Name,Employee ID,Gender,Age,Department\r\n张三,A001,男,35,"研发部,一组"\r\n李四,A002,女,42,财务部\r\n'
+  const utf8Path = path.join(rootDir, 'roster-utf8.csv')
+  const gbkPath = path.join(rootDir, 'roster-gbk.csv')
+  await fs.writeFile(utf8Path, '\uFEFF' + csv)
+  // Node 不内置 GBK 编码器，手工写出所需汉字的 GBK 字节
+  const gbk = { 张: [0xd5, 0xc5], 三: [0xc8, 0xfd], 李: [0xc0, 0xee], 四: [0xcb, 0xc4], 男: [0xc4, 0xd0], 女: [0xc5, 0xae] }
+  const ascii = 'Name,Employee ID,Gender,Age\r\n张三,A001,男,35\r\n李四,A002,女,42\r\n'
+  await fs.writeFile(gbkPath, Buffer.from([...ascii].flatMap((ch) => gbk[ch] || [ch.charCodeAt(0)])))
+
+  for (const employeeSheetPath of [utf8Path, gbkPath]) {
+    const employees = await loadEmployees({ ...options, employeeSheetPath })
+    assert.deepEqual(employees.map((e) => [e.name, e.id, e.gender, e.age]), [['张三', 'A001', '男', '35'], ['李四', 'A002', '女', '42']])
+  }
+  const [zhang] = await loadEmployees({ ...options, employeeSheetPath: utf8Path })
+  assert.equal(zhang.fields['部门'], '研发部,一组')
+})
+
+test('员工表读取全部 Sheet，按工号去重并报告问题行的行号', async () => {
+  const workbook = new ExcelJS.Workbook()
+  const first = workbook.addWorksheet('总部')
+  first.addRow(['姓名', '工号', '年龄'])
+  first.addRow(['张三', 'A001', 35])
+  first.addRow(['王五', '', 28])
+  first.addRow(['', '', ''])
+  first.addRow(['赵六', 'A003', '三十'])
+  const second = workbook.addWorksheet('分公司')
+  second.addRow([' Name ', 'employee id', 'AGE'])
+  second.addRow(['张三', 'A001', 35])
+  second.addRow(['孙七', 'A001', 30])
+  workbook.addWorksheet('说明').addRow(['本表由 HR 维护'])
+  const employeeSheetPath = path.join(rootDir, 'roster-multi.xlsx')
+  await workbook.xlsx.writeFile(employeeSheetPath)
+
+  const employees = await loadEmployees({ ...options, employeeSheetPath, sheetName: '*' })
+  assert.deepEqual(employees.map((e) => e.name), ['张三', '王五', '赵六'])
+  assert.deepEqual((await loadEmployees({ ...options, employeeSheetPath, sheetName: '分公司' })).map((e) => e.name), ['张三'])
+
+  const report = await runPreflight({ ...options, employeeSheetPath, sheetName: '*' })
+  assert.deepEqual(report.rowIssues.map((i) => [i.sheet, i.row, i.issue]), [
+    ['总部', 3, '缺少工号'],
+    ['总部', 5, '年龄不是数字：三十'],
+    ['分公司', 2, '与总部 第 2 行重复，已忽略'],
+    ['分公司', 3, '工号与总部 第 2 行（张三）重复，已忽略'],
+  ])
+})
+
+test('员工表缺少必需列时列出现有表头', async () => {
+  const employeeSheetPath = path.join(rootDir, 'roster-missing.csv')
+  await fs.writeFile(employeeSheetPath, 'Name,Staff No\n张三,A001\n')
+  await assert.rejects(() => loadEmployees({ ...options, employeeSheetPath }), /缺少必需列：工号（现有表头：姓名, Staff No）/)
+  const employees = await loadEmployees({ ...options, employeeSheetPath, config: { ...FIXTURE_CONFIG, headerAliases: { 工号: ['Staff No'] } } })
+  assert.equal(employees[0].id, 'A001')
+})
+
+test('parseMarkdownSummary 把标题、多级列表、表格与加粗转为总结块', () => {
+  const markdown = [
+    '# 体检总结',
+    '**存在问题：**',
+    '1. 血脂偏高',
+    '   - 甘油三酯 2.3',
+    '1. 尿酸偏高',
+    '',
+    '| 指标 | 结果 |',
+    '| --- | --- |',
+    '| 血压 | **正常** |',
+    '---',
+    '建议*低脂*饮食',
+  ].join('\n')
+  const { blocks, text } = parseMarkdownSummary(markdown, { summaryHeadings: ['存在问题'] })
+  assert.deepEqual(blocks.map((b) => b.type === 'table' ? 'table' : [b.heading, b.list && `${b.list.format}:${b.list.level}:${b.list.number}`]), [
+    [1, null],
+    [2, null],
+    [0, 'decimal:0:1'],
+    [0, 'bullet:1:0'],
+    [0, 'decimal:0:2'],
+    'table',
+    [0, null],
+  ])
+  assert.deepEqual(blocks[5].rows.map((row) => row.map((cell) => [cell.text, cell.bold])), [[['指标', true], ['结果', true]], [['血压', false], ['正常', false]]])
+  assert.deepEqual(blocks[6].runs.map((r) => [r.text, r.italic]), [['建议', false], ['低脂', true], ['饮食', false]])
+  assert.match(text, /^体检总结\n存在问题：\n血脂偏高/)
+})
+
+test('resolveSummary 按 summarySources 顺序取第一个有内容的总结并记录来源', async () => {
+  const dir = path.join(rootDir, 'summaries')
+  await fs.outputFile(path.join(dir, '张三-AI总结.md'), '## 建议\n- 规律作息\n')
+  await fs.outputFile(path.join(dir, '张三-AI总结.txt'), '  \n')
+  const file = (fileName) => ({ fileName, label: 'AI总结', fullPath: path.join(dir, fileName), relPath: fileName })
+  const employees = await loadEmployees(options)
+  const { byEmployee } = await collectAssets(employees, options)
+  const candidates = [...byEmployee.get(employees[0]).summaryCandidates, file('张三-AI总结.md')]
+
+  const docx = await resolveSummary(employees[0], { summaryCandidates: candidates }, FIXTURE_CONFIG)
+  assert.equal(docx.source, 'docx')
+  assert.match(docx.text, /整体情况良好/)
+  const markdown = await resolveSummary(employees[0], { summaryCandidates: candidates }, { ...FIXTURE_CONFIG, summarySources: ['markdown', 'docx'] })
+  assert.deepEqual([markdown.source, markdown.file.fileName, markdown.blocks[0].heading], ['markdown', '张三-AI总结.md', 2])
+
+  // 空文件跳过，改用员工表的总结列
+  const warnings = []
+  const column = await resolveSummary({ ...employees[0], summary: '血压正常' }, { summaryCandidates: [file('张三-AI总结.txt')] }, FIXTURE_CONFIG, warnings)
+  assert.deepEqual([column.source, column.text], ['column', '血压正常'])
+  assert.match(warnings[0], /张三-AI总结\.txt：没有可读取的总结文字/)
+})
+
+test('员工表的总结列作为 AI 总结生成总结页', async () => {
+  const employeeSheetPath = path.join(rootDir, 'roster-summary.csv')
+  await fs.writeFile(employeeSheetPath, '姓名,工号,性别,年龄,AI Summary\n李四,A002,女,42,"## 建议\n- 控制体重"\n')
+  const [li] = await loadEmployees({ ...options, employeeSheetPath })
+  assert.equal(li.summary, '## 建议\n- 控制体重')
+  const template = await loadTemplate(options)
+  const result = await buildReportBuffer(li, { files: [], summaryCandidates: [], attachments: [] }, template)
+  assert.equal(result.status, 'generated')
+  assert.equal(result.summarySource, '员工表“总结”列')
+  const summarySlide = readSlidesInOrder(new PizZip(result.buffer)).find((s) => /控制体重/.test(slideText(s.xml)))
+  assert.ok(summarySlide)
+  assert.doesNotMatch(slideText(summarySlide.xml), /##/)
+})
+
+test('generateReports 沿用输入未变化的报告，附件转换失败的员工下次重新生成', async () => {
+  const projectDir = await createFixtureProject()
+  try {
+    const runOptions = { rootDir: projectDir, config: { ...FIXTURE_CONFIG, concurrency: 1 } }
+    const statusOf = (ledger, name) => ledger.find((row) => row.name === name).status
+
+    // 空的 Word 附件只产生告警，成品不缺图片：照常记录指纹
+    await fs.writeFile(path.join(projectDir, 'data', '李四-心电图.png'), PNG_1X1)
+    await fs.writeFile(path.join(projectDir, 'data', '李四-问卷.docx'), buildFixtureDocx([]))
+    const first = await generateReports(runOptions)
+    assert.equal(statusOf(first, '张三'), 'generated')
+    assert.ok(first.find((row) => row.name === '李四').warnings.some((w) => /Word 文档没有内容/.test(w)))
+    const firstManifest = await fs.readJson(path.join(projectDir, 'output', '生成清单.json'))
+    assert.ok(Object.values(firstManifest.employees).find((e) => e.name === '李四').fingerprint)
+    const second = await generateReports(runOptions)
+    assert.equal(statusOf(second, '张三'), 'unchanged')
+
+    // 损坏的 PDF 在任何环境下都转不出图片：报告照常生成，但不记指纹
+    await fs.writeFile(path.join(projectDir, 'data', '张三-心电图.pdf'), 'not a pdf')
+    const degraded = await generateReports(runOptions)
+    assert.equal(statusOf(degraded, '张三'), 'generated')
+    assert.ok(degraded.find((row) => row.name === '张三').warnings.some((w) => /PDF 未能转换为图片/.test(w)))
+    const manifest = await fs.readJson(path.join(projectDir, 'output', '生成清单.json'))
+    assert.equal(Object.values(manifest.employees).find((e) => e.name === '张三').fingerprint, '')
+    // 台账中的错误信息只保留首行
+    const ledgerFile = (await fs.readdir(path.join(projectDir, 'output'))).find((n) => /^生成台账_.*\.json$/.test(n))
+    const { rows } = await fs.readJson(path.join(projectDir, 'output', ledgerFile))
+    for (const row of rows) assert.ok([row.reason, ...row.warnings].every((text) => !text.includes('\n')))
+    assert.equal(statusOf(await generateReports(runOptions), '张三'), 'generated')
+  } finally {
+    await fs.remove(projectDir)
+  }
+})
+
+test('generateReports 多线程生成的结果与单线程一致，台账按员工表顺序排列', async () => {
+  const projectDir = await createFixtureProject()
+  try {
+    await fs.writeFile(path.join(projectDir, 'data', '李四-心电图.png'), PNG_1X1)
+    const summarize = (ledger) => ledger.map((row) => [row.name, row.status, row.slideCount, row.summarySource])
+
+    const sequential = await generateReports({ rootDir: projectDir, force: true, config: { ...FIXTURE_CONFIG, concurrency: 1 } })
+    const parallel = await generateReports({ rootDir: projectDir, force: true, config: { ...FIXTURE_CONFIG, concurrency: 2 } })
+    assert.deepEqual(summarize(parallel), summarize(sequential))
+    assert.deepEqual(parallel.map((row) => row.status), ['generated', 'generated'])
+    for (const row of parallel) {
+      assert.doesNotThrow(() => validateDeckPackage(new PizZip(fs.readFileSync(row.outputPath))))
+    }
+    // 工作线程生成的报告同样记入清单，下次运行沿用
+    const manifest = await fs.readJson(path.join(projectDir, 'output', '生成清单.json'))
+    assert.ok(Object.values(manifest.employees).every((e) => e.fingerprint))
+  } finally {
+    await fs.remove(projectDir)
+  }
+})
+
+test('水印只叠在图片影像页上，文档检查页与总结页不加', async () => {
+  const projectDir = await createFixtureProject()
+  try {
+    await fs.writeFile(path.join(projectDir, 'data', '张三-问卷.docx'), buildFixtureDocx(['无不适。']))
+    const runOptions = { rootDir: projectDir, config: { ...FIXTURE_CONFIG, watermark: true } }
+    const employees = await loadEmployees(runOptions)
+    const { byEmployee } = await collectAssets(employees, runOptions)
+    const result = await buildReportBuffer(employees[0], byEmployee.get(employees[0]), await loadTemplate(runOptions))
+
+    const slides = readSlidesInOrder(new PizZip(result.buffer)).map((s) => ({
+      name: (s.xml.match(/<p:cSld\b[^>]*\bname="([^"]*)"/) || [])[1],
+      watermarked: /<p:cNvPr id="\d+" name="水印"\/>/.test(s.xml),
+    }))
+    assert.deepEqual(slides.filter((s) => s.watermarked).map((s) => s.name), ['血检', '血检'])
+    assert.ok(slides.some((s) => s.name === '问卷' && !s.watermarked))
+    assert.ok(slides.some((s) => s.name === 'AI 总结' && !s.watermarked))
+  } finally {
+    await fs.remove(projectDir)
+  }
+})
+
+test('readExifOrientation 读取 EXIF 方向，截断或损坏的 EXIF 按 1 处理', () => {
+  // SOI + APP1(Exif, 大端 TIFF, IFD0 一项：Orientation = 6) + SOS
+  const tiff = Buffer.from([0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08, 0x00, 0x01, 0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00, 0x00, 0x00])
+  const app1 = (body) => Buffer.concat([Buffer.from([0xff, 0xe1, (body.length + 2) >> 8, (body.length + 2) & 0xff]), body])
+  const jpeg = (segment) => Buffer.concat([Buffer.from([0xff, 0xd8]), segment, Buffer.from([0xff, 0xda, 0x00, 0x02])])
+  const exif = Buffer.concat([Buffer.from('Exif\0\0', 'ascii'), tiff])
+
+  assert.equal(readExifOrientation(jpeg(app1(exif))), 6)
+  assert.equal(readExifOrientation(Buffer.concat([Buffer.from([0xff, 0xd8]), app1(exif)]).subarray(0, 20)), 1)
+  // IFD 偏移指向段外、条目数超出段长
+  const badOffset = Buffer.from(exif)
+  badOffset.writeUInt32BE(0xfffffff0, 10)
+  assert.equal(readExifOrientation(jpeg(app1(badOffset))), 1)
+  const badCount = Buffer.from(exif)
+  badCount.writeUInt16BE(0x0100, 14)
+  badCount.writeUInt16BE(0x0100, 16)
+  assert.equal(readExifOrientation(jpeg(app1(badCount))), 1)
+  assert.equal(readExifOrientation(Buffer.from([0xff, 0xd8, 0xff])), 1)
+})
+
+test('匿名导出清空员工表其余列、替换总结中的姓名，检验指标仍按真实工号保存', async () => {
+  const projectDir = await createFixtureProject()
+  try {
+    await fs.writeFile(path.join(projectDir, '员工表.csv'), '姓名,工号,性别,年龄,部门,手机号,体重\n张三,A001,男,35,研发部,13800000000,70.5\n')
+    await fs.writeFile(path.join(projectDir, 'data', '张三-AI总结.docx'), buildFixtureDocx(['张三（A001）整体情况良好。']))
+    const runOptions = { rootDir: projectDir, employeeSheetPath: '员工表.csv', anonymize: true, config: { ...FIXTURE_CONFIG, concurrency: 1, anonymizeSalt: 'test' } }
+    const [row] = await generateReports(runOptions)
+    assert.equal(row.status, 'generated')
+    assert.doesNotMatch(row.outputPath, /张三|A001/)
+
+    const text = readSlidesInOrder(new PizZip(await fs.readFile(row.outputPath))).map((s) => slideText(s.xml)).join('\n')
+    for (const secret of ['张三', 'A001', '研发部', '13800000000']) assert.ok(!text.includes(secret), `报告中仍有 ${secret}`)
+    assert.match(text, /员工[0-9A-F]{8}（ID[0-9A-F]{8}）整体情况良好/)
+
+    assert.equal(await fs.pathExists(path.join(projectDir, 'output', '检验指标')), false)
+    const labValues = await fs.readJson(path.join(projectDir, '检验指标_实名', '检验指标_张三_A001.json'))
+    assert.deepEqual([labValues.name, labValues.id, labValues.metrics['体重']], ['张三', 'A001', 70.5])
+
+    // 对照表中同一代号已属于另一名员工时报错，不覆盖对照表
+    const mapFile = path.join(projectDir, '匿名映射.json')
+    const map = await fs.readJson(mapFile)
+    const [code] = Object.keys(map.employees)
+    map.employees[code] = { ...map.employees[code], 姓名: '李四', 工号: 'A002' }
+    await fs.writeJson(mapFile, map)
+    await assert.rejects(() => generateReports(runOptions), new RegExp(`匿名代号冲突：${code}`))
+    assert.equal((await fs.readJson(mapFile)).employees[code].工号, 'A002')
+  } finally {
+    await fs.remove(projectDir)
+  }
+})
@@ -0,0 +1,196 @@
+/**
+ * 纯函数的单元测试：总结分页与折行、docx 结构解析、检验指标解析、多图版式、成品包清理与校验。
+ * 都不需要 canvas，也不读取仓库中的真实数据
+ */
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const PizZip = require('pizzip')
+
+const {
+  wrapText,
+  paginateSummaryBlocks,
+  extractSummaryDocument,
+  getGridCells,
+  layoutPicturesInFrame,
+  cleanupDeckPackage,
+  validateDeckPackage,
+  parseReferenceRange,
+  getLabFlag,
+  parseLabPage,
+} = require('..')
+const { buildFixtureTemplate, PNG_1X1 } = require('./fixtures')
+
+// 10 磅字、单倍行距：每行 152400 EMU，宽 1270000 EMU 恰好放下 10 个汉字
+const LINE_HEIGHT = 10 * 1.2 * 12700
+const box = (lines) => ({ width: 1270000, height: LINE_HEIGHT * lines, fontSize: 10, lineSpacing: 1 })
+const paragraph = (text, extra = {}) => ({ type: 'paragraph', heading: 0, list: null, runs: [{ text }], ...extra })
+const pageTexts = (pages) => pages.map((page) => page.map((b) => (b.type === 'table' ? `表${b.rows.length}` : b.runs.map((r) => r.text).join(''))))
+
+test('wrapText 按字符宽度折行，全角字占一个字宽', () => {
+  assert.deepEqual(wrapText('一二三四五六七八九十甲乙', 1270000, 10), ['一二三四五六七八九十', '甲乙'])
+  // 半角字约 0.55 个字宽：10 个字宽放下 18 个
+  assert.deepEqual(wrapText('a'.repeat(20), 1270000, 10), ['a'.repeat(18), 'aa'])
+  assert.deepEqual(wrapText('', 1270000, 10), [''])
+})
+
+test('paginateSummaryBlocks 按行数分页，长段落拆到续页并保留格式', () => {
+  const five = ['甲', '乙', '丙', '丁', '戊'].map((t) => paragraph(t))
+  assert.deepEqual(pageTexts(paginateSummaryBlocks(five, box(3))), [['甲', '乙', '丙'], ['丁', '戊']])
+
+  // 续页开头的标记占一行
+  const marker = paragraph('（续）')
+  assert.deepEqual(pageTexts(paginateSummaryBlocks(five, box(3), marker)), [['甲', '乙', '丙'], ['（续）', '丁', '戊']])
+
+  const long = { ...paragraph(''), runs: [{ text: '一二三四五六七八九十'.repeat(3), bold: true }, { text: '甲'.repeat(10) }] }
+  const pages = paginateSummaryBlocks([long], box(3))
+  assert.deepEqual(pageTexts(pages), [['一二三四五六七八九十'.repeat(3)], ['甲'.repeat(10)]])
+  assert.equal(pages[0][0].runs[0].bold, true)
+  assert.equal(pages[1][0].continued, true)
+})
+
+test('paginateSummaryBlocks 不把标题留在页尾，表格分页时重复表头', () => {
+  const blocks = [paragraph('甲'), paragraph('乙'), paragraph('丙'), paragraph('小标题', { heading: 2 }), paragraph('丁')]
+  assert.deepEqual(pageTexts(paginateSummaryBlocks(blocks, box(5))), [['甲', '乙', '丙'], ['小标题', '丁']])
+
+  // 表格字号比正文小 2 磅，每行约 213360 EMU：5 行高的页面放 3 行
+  const row = (text) => [{ text }, { text }]
+  const table = { type: 'table', rows: [row('表头'), row('1'), row('2'), row('3'), row('4'), row('5')] }
+  const pages = paginateSummaryBlocks([table], box(5))
+  assert.deepEqual(pages.map((page) => page[0].rows.map((r) => r[0].text)), [['表头', '1', '2'], ['表头', '3', '4'], ['表头', '5']])
+  assert.equal(pages[1][0].repeatedHeader, true)
+
+  // 一页只放得下表头时，每页仍放表头与一行正文，不会死循环
+  const short = { type: 'table', rows: [row('表头'), row('1'), row('2')] }
+  for (const height of [250000, 300000, 400000]) {
+    const shortPages = paginateSummaryBlocks([short], { ...box(1), height })
+    assert.deepEqual(shortPages.map((page) => page[0].rows.map((r) => r[0].text)), [['表头', '1'], ['表头', '2']], `页高 ${height}`)
+  }
+  // 正文行折成多行、超过一页高时同样逐行推进
+  const tall = { type: 'table', rows: [row('表头'), row('很长的说明'.repeat(20)), row('2')] }
+  assert.deepEqual(paginateSummaryBlocks([tall], box(5)).map((page) => page[0].rows.length), [2, 2])
+})
+
+test('extractSummaryDocument 保留标题、run 格式、多级编号与合并单元格', async () => {
+  const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"'
+  const para = (pPr, runs) => `<w:p><w:pPr>${pPr}</w:pPr>${runs}</w:p>`
+  const run = (text, rPr = '') => `<w:r><w:rPr>${rPr}</w:rPr><w:t xml:space="preserve">${text}</w:t></w:r>`
+  const listItem = (numId, ilvl, text) => para(`<w:numPr><w:ilvl w:val="${ilvl}"/><w:numId w:val="${numId}"/></w:numPr>`, run(text))
+  const zip = new PizZip()
+  zip.file('word/document.xml', `<w:document ${W}><w:body>` +
+    para('<w:pStyle w:val="Heading1"/>', run('体检总结')) +
+    para('', run('建议')) +
+    para('', run('血脂', '<w:b/><w:color w:val="FF0000"/>') + run('偏高，', '<w:b/><w:color w:val="FF0000"/>') + run('请复查', '<w:highlight w:val="yellow"/><w:i w:val="0"/>')) +
+    listItem(1, 0, '控制饮食') + listItem(1, 1, '少油') + listItem(1, 1, '少盐') + listItem(1, 0, '规律运动') + listItem(1, 1, '每周三次') +
+    '<w:tbl><w:tr><w:tc><w:tcPr><w:gridSpan w:val="2"/></w:tcPr><w:p><w:r><w:rPr><w:b/></w:rPr><w:t>指标</w:t></w:r></w:p></w:tc></w:tr>' +
+    '<w:tr><w:tc><w:tcPr><w:vMerge w:val="restart"/></w:tcPr><w:p><w:r><w:t>血压</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>正常</w:t></w:r></w:p></w:tc></w:tr>' +
+    '<w:tr><w:tc><w:tcPr><w:vMerge/></w:tcPr><w:p><w:r><w:t>血压</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>复查</w:t></w:r></w:p></w:tc></w:tr></w:tbl>' +
+    '</w:body></w:document>')
+  zip.file('word/styles.xml', `<w:styles ${W}><w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/></w:style></w:styles>`)
+  zip.file('word/numbering.xml', `<w:numbering ${W}><w:abstractNum w:abstractNumId="0">` +
+    '<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="decimal"/><w:lvlText w:val="%1)"/></w:lvl>' +
+    '<w:lvl w:ilvl="1"><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/></w:lvl>' +
+    '</w:abstractNum><w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num></w:numbering>')
+  const filePath = path.join(os.tmpdir(), `summary-${process.pid}.docx`)
+  await fs.writeFile(filePath, zip.generate({ type: 'nodebuffer' }))
+
+  try {
+    const { blocks, text } = await extractSummaryDocument(filePath, { summaryHeadings: ['建议'] })
+    assert.deepEqual(blocks.slice(0, 2).map((b) => b.heading), [1, 2])
+    // 格式相同的相邻 run 合并；w:val="0" 的斜体为关
+    assert.deepEqual(blocks[2].runs.map((r) => [r.text, r.bold, r.italic, r.color, r.highlight]), [
+      ['血脂偏高，', true, false, 'FF0000', null],
+      ['请复查', false, false, null, 'FFFF00'],
+    ])
+    // 上级编号递增后，下级重新计数
+    assert.deepEqual(blocks.slice(3, 8).map((b) => [b.list.format, b.list.level, b.list.number]), [
+      ['decimalParen', 0, 1],
+      ['bullet', 1, 1],
+      ['bullet', 1, 2],
+      ['decimalParen', 0, 2],
+      ['bullet', 1, 1],
+    ])
+    assert.deepEqual(blocks[8].rows.map((row) => row.map((c) => [c.text, c.span, c.bold])), [
+      [['指标', 2, true]],
+      [['血压', 1, false], ['正常', 1, false]],
+      [['', 1, false], ['复查', 1, false]],
+    ])
+    assert.match(text, /^体检总结\n建议\n血脂偏高，请复查\n控制饮食/)
+  } finally {
+    await fs.remove(filePath)
+  }
+})
+
+test('parseReferenceRange 与 getLabFlag 识别区间写法，报告上的箭头优先', () => {
+  assert.deepEqual(parseReferenceRange('3.90-6.10'), { min: 3.9, max: 6.1 })
+  assert.deepEqual(parseReferenceRange('57～97'), { min: 57, max: 97 })
+  assert.deepEqual(parseReferenceRange('＜5.18'), { min: null, max: 5.18 })
+  assert.deepEqual(parseReferenceRange('≥ 10'), { min: 10, max: null })
+  assert.equal(parseReferenceRange('阴性'), null)
+
+  assert.equal(getLabFlag('6.5', '3.90-6.10', ''), '↑')
+  assert.equal(getLabFlag('3.1', '3.90-6.10', ''), '↓')
+  assert.equal(getLabFlag('5.0', '3.90-6.10', ''), '')
+  assert.equal(getLabFlag('5.0', '3.90-6.10', '↑'), '↑')
+  assert.equal(getLabFlag('阴性', '阴性', ''), '')
+})
+
+test('parseLabPage 按表头的横坐标归列，识别箭头并跳过落款行', () => {
+  const item = (str, x, y) => ({ str, transform: [1, 0, 0, 1, x, y] })
+  const items = [
+    item('检验报告单', 200, 800),
+    item('项目名称', 50, 700), item('英文缩写', 150, 700), item('结果', 250, 700), item('单位', 320, 700), item('参考区间', 400, 700),
+    item('★葡萄糖', 50, 680), item('GLU', 150, 680), item('6.5', 250, 680), item('↑', 290, 680), item('mmol/L', 320, 680), item('3.90-6.10', 400, 681),
+    item('总胆固醇', 50, 660), item('TC', 150, 660), item('4.2', 250, 660), item('mmol/L', 320, 660), item('<5.18', 400, 660),
+    item('甘油三酯', 50, 640), item('TG', 150, 640), item('0.3 ↓', 250, 640), item('mmol/L', 320, 640), item('0.56-1.70', 400, 640),
+    item('审核人员：', 50, 600), item('李医生', 250, 600),
+  ]
+  const values = parseLabPage(items, 2, { label: '血检' })
+  assert.deepEqual(values.map((v) => [v.item, v.code, v.result, v.unit, v.range, v.flag, v.page, v.source]), [
+    ['葡萄糖', 'GLU', '6.5', 'mmol/L', '3.90-6.10', '↑', 2, '血检'],
+    ['总胆固醇', 'TC', '4.2', 'mmol/L', '<5.18', '', 2, '血检'],
+    ['甘油三酯', 'TG', '0.3', 'mmol/L', '0.56-1.70', '↓', 2, '血检'],
+  ])
+  assert.deepEqual(parseLabPage(items.slice(6), 1, { label: '血检' }), [], '没有表头行时不提取')
+})
+
+test('getGridCells 与 layoutPicturesInFrame 在格子内等比缩放并复制图片元素', () => {
+  const frame = { x: 100000, y: 200000, cx: 1000000, cy: 2000000 }
+  const cells = getGridCells(frame, { rows: 2, cols: 2 })
+  assert.equal(cells.length, 4)
+  // 格子之间留 91440 EMU 间距
+  assert.deepEqual(cells[0], { x: 100000, y: 200000, cx: 454280, cy: 954280 })
+  assert.deepEqual(cells[3], { x: 100000 + 454280 + 91440, y: 200000 + 954280 + 91440, cx: 454280, cy: 954280 })
+
+  const slideXml = '<p:spTree><p:sp><p:nvSpPr><p:cNvPr id="2" name="标题"/></p:nvSpPr></p:sp>' +
+    '<p:pic><p:nvPicPr><p:cNvPr id="3" name="图片 2"/></p:nvPicPr><p:blipFill><a:blip r:embed="rId2"/></p:blipFill>' +
+    `<p:spPr><a:xfrm><a:off x="${frame.x}" y="${frame.y}"/><a:ext cx="${frame.cx}" cy="${frame.cy}"/></a:xfrm></p:spPr></p:pic></p:spTree>`
+  const result = layoutPicturesInFrame(slideXml, 'rId2', [
+    { relId: 'rId2', imageSize: { width: 200, height: 100 }, box: cells[0] },
+    { relId: 'rId5', imageSize: { width: 100, height: 200 }, box: cells[1] },
+  ])
+  const pics = result.match(/<p:pic>[\s\S]*?<\/p:pic>/g)
+  assert.equal(pics.length, 2)
+  // 横图在左上格内上下居中；竖图在右上格内左右居中
+  assert.match(pics[0], /r:embed="rId2"[\s\S]*<a:off x="100000" y="563570"\/><a:ext cx="454280" cy="227140"\/>/)
+  assert.match(pics[1], /<p:cNvPr id="4" name="图片 4"\/>[\s\S]*r:embed="rId5"/)
+  assert.match(pics[1], /<a:off x="645720" y="222860"\/><a:ext cx="454280" cy="908560"\/>/)
+})
+
+test('cleanupDeckPackage 删除不可达的幻灯片与媒体，validateDeckPackage 报告断开的关系', () => {
+  const zip = new PizZip(buildFixtureTemplate())
+  // 从 <p:sldIdLst> 去掉第 3 页，并留下一张没有引用的图片：两者都不是结构错误，只是冗余
+  zip.file('ppt/presentation.xml', zip.file('ppt/presentation.xml').asText().replace('<p:sldId id="258" r:id="rId4"/>', ''))
+  zip.file('ppt/media/image9.png', PNG_1X1)
+
+  const removed = cleanupDeckPackage(zip)
+  assert.deepEqual(removed.sort(), ['ppt/media/image9.png', 'ppt/slides/_rels/slide3.xml.rels', 'ppt/slides/slide3.xml'])
+  assert.doesNotMatch(zip.file('[Content_Types].xml').asText(), /slide3\.xml/)
+  assert.doesNotMatch(zip.file('ppt/_rels/presentation.xml.rels').asText(), /slides\/slide3\.xml/)
+  assert.doesNotThrow(() => validateDeckPackage(zip))
+
+  zip.file('ppt/slides/_rels/slide2.xml.rels', zip.file('ppt/slides/_rels/slide2.xml.rels').asText().replace('image1.png', 'missing.png'))
+  assert.throws(() => validateDeckPackage(zip), /slide2\.xml\.rels 的 rId2 指向不存在的部件 ppt\/media\/missing\.png/)
+})